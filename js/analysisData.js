@@ -0,0 +1,193 @@
+import { AudioAnalyzer, FREQUENCY_BANDS } from './audioAnalyzer.js';
+import { OfflineAnalyser } from './offlineAnalyser.js';
+import { LoudnessNormalizer } from './loudnessNormalizer.js';
+import { EnergyBallVisualizer } from './visualizer.js';
+
+// Données d'analyse précalculées : intensité des cinq bandes à chaque image
+// d'un fichier, telles que les reçoivent les scènes (après normalisation),
+// pour animer un projet After Effects, Blender... sans passer par les
+// particules. Un fichier exporté peut aussi être réimporté pour remplacer les
+// bandes mesurées en direct.
+// Format : { version, fps, duration, smoothed, bands: { subBass: [...], ... } }
+export const ANALYSIS_VERSION = 1;
+export const ANALYSIS_BANDS = Object.keys(FREQUENCY_BANDS);
+
+export const ANALYSIS_FORMATS = [
+    { value: 'csv', label: 'CSV' },
+    { value: 'json', label: 'JSON' },
+    { value: 'ae', label: 'Clés After Effects (presse-papiers)' }
+];
+
+const PRECISION = 4; // décimales conservées
+
+// Lissage par défaut de la boule d'énergie, tiré de son schéma
+export function getDefaultSmoothing() {
+    const smoothing = {};
+    for (const param of EnergyBallVisualizer.params) {
+        if (param.key.startsWith('smoothingFactors.')) {
+            smoothing[param.key.slice('smoothingFactors.'.length)] = param.default;
+        }
+    }
+    return smoothing;
+}
+
+// Parcourt tout le morceau hors ligne ; smoothing : facteurs par bande de la
+// boule d'énergie (même interpolation qu'à chaque image), null pour les
+// valeurs brutes
+export async function computeAnalysisData(audioBuffer, {
+    fps = 30, analyserOptions = {}, normalizer = new LoudnessNormalizer(), smoothing = null, onProgress = () => {}
+} = {}) {
+    const analyser = new OfflineAnalyser(audioBuffer, analyserOptions);
+    const analyzer = new AudioAnalyzer(audioBuffer.sampleRate);
+    const frameCount = Math.ceil(audioBuffer.duration * fps);
+    const bands = {};
+    const levels = {};
+    for (const name of ANALYSIS_BANDS) {
+        bands[name] = new Array(frameCount);
+        levels[name] = 0;
+    }
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const time = frame / fps;
+        const spectrum = analyser.analyseAt(time);
+        const analysis = normalizer.apply(analyzer.analyze(spectrum, analyser.getWaveform(), time));
+        for (const name of ANALYSIS_BANDS) {
+            const value = analysis.bands[name].intensity;
+            levels[name] = smoothing ? levels[name] + (value - levels[name]) * smoothing[name] : value;
+            bands[name][frame] = Number(levels[name].toFixed(PRECISION));
+        }
+        // Rendre la main au navigateur de temps en temps
+        if (frame % 500 === 499) {
+            onProgress((frame + 1) / frameCount);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    onProgress(1);
+
+    return { version: ANALYSIS_VERSION, fps, duration: audioBuffer.duration, smoothed: Boolean(smoothing), bands };
+}
+
+function getFrameCount(data) {
+    return data.bands[ANALYSIS_BANDS[0]].length;
+}
+
+export function analysisToCsv(data) {
+    const rows = [['frame', 'time', ...ANALYSIS_BANDS].join(',')];
+    for (let frame = 0; frame < getFrameCount(data); frame++) {
+        const time = (frame / data.fps).toFixed(PRECISION);
+        rows.push([frame, time, ...ANALYSIS_BANDS.map(name => data.bands[name][frame])].join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+export function analysisToJson(data) {
+    return JSON.stringify(data);
+}
+
+// Données de clés d'After Effects, à coller sur un calque : un effet
+// « Paramètre glissière » par bande, dans l'ordre de ANALYSIS_BANDS
+export function analysisToAfterEffects(data, { width = 1920, height = 1080 } = {}) {
+    const lines = [
+        'Adobe After Effects 8.0 Keyframe Data',
+        '',
+        `\tUnits Per Second\t${data.fps}`,
+        `\tSource Width\t${width}`,
+        `\tSource Height\t${height}`,
+        '\tSource Pixel Aspect Ratio\t1',
+        '\tComp Pixel Aspect Ratio\t1',
+        ''
+    ];
+    ANALYSIS_BANDS.forEach((name, index) => {
+        lines.push(`Effects\tSlider Control #${index + 1}\tSlider #2`);
+        lines.push('\tFrame\t');
+        data.bands[name].forEach((value, frame) => {
+            lines.push(`\t${frame}\t${value}`);
+        });
+        lines.push('');
+    });
+    lines.push('', 'End of Keyframe Data');
+    return lines.join('\r\n');
+}
+
+function validate(data) {
+    const frameCount = data.bands[ANALYSIS_BANDS[0]].length;
+    if (!(data.fps > 0) || !frameCount) throw new Error('Données d\'analyse invalides');
+    for (const name of ANALYSIS_BANDS) {
+        const values = data.bands[name];
+        if (values.length !== frameCount || values.some(value => !Number.isFinite(value))) {
+            throw new Error(`Bande ${name} invalide`);
+        }
+    }
+    return data;
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data.bands !== 'object') throw new Error('Données d\'analyse invalides');
+    const bands = {};
+    for (const name of ANALYSIS_BANDS) {
+        if (!Array.isArray(data.bands[name])) throw new Error(`Bande ${name} absente`);
+        bands[name] = data.bands[name].map(Number);
+    }
+    const fps = Number(data.fps);
+    return validate({
+        version: ANALYSIS_VERSION,
+        fps,
+        duration: Number(data.duration) || bands[ANALYSIS_BANDS[0]].length / fps,
+        smoothed: data.smoothed === true,
+        bands
+    });
+}
+
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 120];
+const FRAME_RATE_TOLERANCE = 0.0003; // écart relatif accepté (24 et 23,976 diffèrent de 0,1 %)
+
+function snapFrameRate(fps) {
+    const standard = STANDARD_FRAME_RATES.find(rate => Math.abs(fps - rate) / rate < FRAME_RATE_TOLERANCE);
+    return standard ?? Math.round(fps * 1000) / 1000;
+}
+
+// CSV exporté par analysisToCsv() (ou équivalent) : colonne time et une
+// colonne par bande, dans n'importe quel ordre
+function parseCsv(text) {
+    const rows = text.trim().split(/\r?\n/).map(row => row.split(','));
+    const header = rows.shift().map(cell => cell.trim());
+    const timeColumn = header.indexOf('time');
+    if (timeColumn < 0) throw new Error('Colonne time absente');
+    const bands = {};
+    for (const name of ANALYSIS_BANDS) {
+        const column = header.indexOf(name);
+        if (column < 0) throw new Error(`Bande ${name} absente`);
+        bands[name] = rows.map(row => parseFloat(row[column]));
+    }
+    // Fréquence d'images déduite de la première et de la dernière ligne (les
+    // temps sont arrondis à PRECISION décimales), ramenée à la fréquence
+    // standard la plus proche si l'écart tient à cet arrondi
+    const span = rows.length > 1 ? parseFloat(rows[rows.length - 1][timeColumn]) - parseFloat(rows[0][timeColumn]) : 0;
+    const fps = span > 0 ? snapFrameRate((rows.length - 1) / span) : 0;
+    return validate({ version: ANALYSIS_VERSION, fps, duration: rows.length / fps, smoothed: false, bands });
+}
+
+export function parseAnalysis(text) {
+    return text.trimStart().startsWith('{') ? parseJson(text) : parseCsv(text);
+}
+
+// Remplace les intensités mesurées par celles du fichier à la position time
+// (interpolées entre deux images) ; la valeur mesurée reste dans bands[name].measured
+export function applyAnalysisData(analysis, data, time) {
+    const position = Math.max(0, Math.min(getFrameCount(data) - 1, time * data.fps));
+    const frame = Math.floor(position);
+    const next = Math.min(getFrameCount(data) - 1, frame + 1);
+    const amount = position - frame;
+
+    let intensity = 0;
+    for (const name of ANALYSIS_BANDS) {
+        const values = data.bands[name];
+        const band = analysis.bands[name];
+        band.measured = band.intensity;
+        band.intensity = values[frame] + (values[next] - values[frame]) * amount;
+        intensity += band.intensity;
+    }
+    analysis.intensity = intensity / ANALYSIS_BANDS.length;
+    return analysis;
+}
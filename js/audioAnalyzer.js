@@ -0,0 +1,259 @@
+import { averageSpectrum } from './bandLayout.js';
+
+// Les cinq bandes utilisées par les visualiseurs (en Hz)
+export const FREQUENCY_BANDS = {
+    subBass: { start: 20, end: 60 },
+    bass: { start: 60, end: 250 },
+    lowMids: { start: 250, end: 500 },
+    highMids: { start: 500, end: 2000 },
+    highs: { start: 2000, end: 20000 }
+};
+
+// Intensité moyenne d'une plage de fréquences à partir d'un spectre en octets,
+// interpolée entre les bins (voir bandLayout.js) : les bandes plus étroites
+// qu'un bin, comme les sub-basses aux petites tailles de FFT, gardent une valeur
+export function getBandIntensity(dataArray, sampleRate, startFreq, endFreq) {
+    // Convertir les fréquences en positions de bins
+    const binsPerHz = dataArray.length / (sampleRate / 2);
+    const lastBin = dataArray.length - 1;
+    const average = averageSpectrum(dataArray, Math.min(lastBin, startFreq * binsPerHz), Math.min(lastBin, endFreq * binsPerHz)) / 255;
+
+    // Courbe de réponse non linéaire, plus dynamique
+    return Math.pow(average, 1.5);
+}
+
+// Détection d'attaques (sections 3 et 10 du guide) : seuil adaptatif
+// moyenne + k écarts-types sur l'historique du flux, plus un délai minimal
+const HISTORY_SIZE = 64;
+const ONSET_SENSITIVITY = 1.5;
+const ONSET_FLOOR = 0.01;
+const MIN_ONSET_INTERVAL = 0.1; // secondes
+
+// Estimation du tempo sur les intervalles entre attaques des basses
+const TEMPO_WINDOW = 8; // secondes d'attaques conservées
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const PHASE_LOCK_WINDOW = 0.15; // fraction de battement
+const PHASE_CORRECTION = 0.2;
+
+class OnsetDetector {
+    constructor() {
+        this.history = new Float32Array(HISTORY_SIZE);
+        this.reset();
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.index = 0;
+        this.count = 0;
+        this.previous = 0;
+        this.lastOnsetTime = -Infinity;
+    }
+
+    // Retourne { flux, onset } pour une nouvelle valeur de la fonction de détection
+    process(value, time) {
+        const flux = Math.max(0, value - this.previous);
+        this.previous = value;
+
+        let mean = 0;
+        for (let i = 0; i < this.count; i++) mean += this.history[i];
+        mean = this.count ? mean / this.count : 0;
+
+        let variance = 0;
+        for (let i = 0; i < this.count; i++) variance += (this.history[i] - mean) ** 2;
+        const deviation = this.count ? Math.sqrt(variance / this.count) : 0;
+
+        const threshold = mean + ONSET_SENSITIVITY * deviation + ONSET_FLOOR;
+        const onset = this.count >= 8 &&
+            flux > threshold &&
+            time - this.lastOnsetTime > MIN_ONSET_INTERVAL;
+        if (onset) this.lastOnsetTime = time;
+
+        this.history[this.index] = flux;
+        this.index = (this.index + 1) % HISTORY_SIZE;
+        this.count = Math.min(HISTORY_SIZE, this.count + 1);
+
+        return { flux, onset };
+    }
+}
+
+class TempoTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.onsetTimes = [];
+        this.bpm = 0;
+        this.confidence = 0;
+        this.phase = 0;
+        this.lastTime = null;
+    }
+
+    // Histogramme des intervalles entre attaques, ramenés dans [MIN_BPM, MAX_BPM]
+    estimate() {
+        const histogram = new Float32Array(MAX_BPM - MIN_BPM + 1);
+        const times = this.onsetTimes;
+        let total = 0;
+
+        for (let i = 0; i < times.length; i++) {
+            for (let j = i + 1; j < times.length; j++) {
+                const interval = times[j] - times[i];
+                if (interval > 60 / MIN_BPM * 2) break;
+
+                let bpm = 60 / interval;
+                while (bpm < MIN_BPM) bpm *= 2;
+                while (bpm > MAX_BPM) bpm /= 2;
+
+                // Les intervalles courts (battements voisins) comptent davantage
+                const weight = 1 / (j - i);
+                const bin = Math.round(bpm) - MIN_BPM;
+                histogram[bin] += weight;
+                if (bin > 0) histogram[bin - 1] += weight * 0.5;
+                if (bin < histogram.length - 1) histogram[bin + 1] += weight * 0.5;
+                total += weight * 2;
+            }
+        }
+
+        let best = 0;
+        for (let i = 1; i < histogram.length; i++) {
+            if (histogram[i] > histogram[best]) best = i;
+        }
+        if (total === 0) return;
+
+        const candidate = best + MIN_BPM;
+        this.confidence = histogram[best] / total;
+        // Lissage de l'estimation pour éviter les sauts d'une image à l'autre
+        this.bpm = this.bpm ? this.bpm + (candidate - this.bpm) * 0.1 : candidate;
+    }
+
+    // Avance la phase du battement et la recale sur les attaques proches
+    process(onset, time) {
+        const dt = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        if (onset) {
+            this.onsetTimes.push(time);
+            while (this.onsetTimes.length && time - this.onsetTimes[0] > TEMPO_WINDOW) {
+                this.onsetTimes.shift();
+            }
+            this.estimate();
+        }
+
+        if (!this.bpm) return false;
+
+        this.phase += dt * this.bpm / 60;
+        let isBeat = false;
+        if (this.phase >= 1) {
+            this.phase %= 1;
+            isBeat = true;
+        }
+
+        if (onset) {
+            // Attaque juste avant ou juste après le battement prévu : recaler la phase
+            const distance = this.phase > 0.5 ? this.phase - 1 : this.phase;
+            if (Math.abs(distance) < PHASE_LOCK_WINDOW) {
+                this.phase -= distance * PHASE_CORRECTION;
+                if (this.phase < 0) this.phase += 1;
+            }
+        }
+
+        return isBeat;
+    }
+}
+
+// Analyse complète d'une image à partir du spectre et de la forme d'onde en
+// octets (sorties de l'AnalyserNode ou de l'OfflineAnalyser) : intensités par
+// bande, RMS, centroïde et flux spectral, attaques par bande, tempo et phase
+export class AudioAnalyzer {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.bandDetectors = {};
+        for (const name of Object.keys(FREQUENCY_BANDS)) {
+            this.bandDetectors[name] = new OnsetDetector();
+        }
+        this.fluxDetector = new OnsetDetector();
+        this.tempo = new TempoTracker();
+        this.previousSpectrum = null;
+        this.lastTime = null;
+    }
+
+    reset() {
+        Object.values(this.bandDetectors).forEach(detector => detector.reset());
+        this.fluxDetector.reset();
+        this.tempo.reset();
+        this.previousSpectrum = null;
+        this.lastTime = null;
+    }
+
+    // time : position en secondes (un retour en arrière ou un saut réinitialise l'historique)
+    analyze(spectrum, waveform, time) {
+        if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > 1)) {
+            this.reset();
+        }
+        this.lastTime = time;
+
+        const bands = {};
+        let intensity = 0;
+        for (const [name, range] of Object.entries(FREQUENCY_BANDS)) {
+            const bandIntensity = getBandIntensity(spectrum, this.sampleRate, range.start, range.end);
+            const { flux, onset } = this.bandDetectors[name].process(bandIntensity, time);
+            bands[name] = { intensity: bandIntensity, flux, onset };
+            intensity += bandIntensity / 5;
+        }
+
+        // Centroïde (Hz) et flux spectral positif normalisé
+        const binWidth = this.sampleRate / 2 / spectrum.length;
+        let weighted = 0;
+        let magnitude = 0;
+        let spectralFlux = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            const value = spectrum[i] / 255;
+            weighted += value * i * binWidth;
+            magnitude += value;
+            if (this.previousSpectrum) {
+                spectralFlux += Math.max(0, value - this.previousSpectrum[i] / 255);
+            }
+        }
+        spectralFlux /= spectrum.length;
+        if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+            this.previousSpectrum = new Uint8Array(spectrum.length);
+        }
+        this.previousSpectrum.set(spectrum);
+        const spectralCentroid = magnitude > 0 ? weighted / magnitude : 0;
+
+        let rms = 0;
+        if (waveform) {
+            for (let i = 0; i < waveform.length; i++) {
+                const sample = (waveform[i] - 128) / 128;
+                rms += sample * sample;
+            }
+            rms = Math.sqrt(rms / waveform.length);
+        }
+
+        const { onset } = this.fluxDetector.process(spectralFlux, time);
+
+        // Le tempo suit les attaques du kick (sub-basses et basses)
+        const kick = bands.subBass.onset || bands.bass.onset;
+        const isBeat = this.tempo.process(kick, time);
+
+        return {
+            time,
+            sampleRate: this.sampleRate,
+            bands,
+            intensity,
+            rms,
+            spectralCentroid,
+            spectralFlux,
+            onset,
+            beat: {
+                bpm: this.tempo.bpm,
+                phase: this.tempo.phase,
+                confidence: this.tempo.confidence,
+                isBeat
+            },
+            spectrum,
+            waveform
+        };
+    }
+}
@@ -1,5 +1,21 @@
-export class AudioSystem {
+import { AudioAnalyzer, getBandIntensity } from './audioAnalyzer.js';
+import { LoudnessNormalizer, computeLoudnessProfile } from './loudnessNormalizer.js';
+import { sanitizeParams } from './params.js';
+import { STEMS, guessStemName, mixBuffers } from './stems.js';
+
+// Émet 'ended' quand la piste arrive à son terme, 'trackchange' quand la piste
+// suivante mise en file (queueNext) prend le relais sans blanc, et 'seek'
+// après un déplacement
+export class AudioSystem extends EventTarget {
+    // Réglages exposés dans le panneau (voir params.js)
+    static params = [
+        { key: 'fftSize', label: 'Taille de FFT', type: 'select', options: [512, 1024, 2048, 4096, 8192], default: 2048 },
+        { key: 'smoothingTimeConstant', label: 'Lissage de l\'analyseur', min: 0, max: 0.99, step: 0.01, default: 0.85 },
+        { key: 'gain', label: 'Volume', min: 0, max: 1.5, step: 0.01, default: 0.74 }
+    ];
+
     constructor() {
+        super();
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         this.analyser = this.audioContext.createAnalyser();
         this.gainNode = this.audioContext.createGain();
@@ -9,185 +25,569 @@ export class AudioSystem {
         this.analyser.smoothingTimeConstant = 0.85;
         this.bufferLength = this.analyser.frequencyBinCount;
         this.dataArray = new Uint8Array(this.bufferLength);
+        this.waveformArray = new Uint8Array(this.analyser.fftSize);
         
         // Configuration du gain
         this.gainNode.gain.value = 0.74;
         
+        // Sortie en flux pour l'enregistrement (piste audio de la vidéo)
+        this.streamDestination = this.audioContext.createMediaStreamDestination();
+        
+        // Écoute (haut-parleurs) coupée pour les entrées live afin d'éviter le larsen,
+        // l'enregistrement reçoit toujours le signal
+        this.monitorGain = this.audioContext.createGain();
+        
         // Connecter les nœuds
         this.analyser.connect(this.gainNode);
-        this.gainNode.connect(this.audioContext.destination);
-        
-        // État et configuration
-        this.state = {
-            evolutionTime: 0,
-            bassIntensity: 0,
-            midIntensity: 0,
-            highIntensity: 0,
-            overallIntensity: 0,
-            frequencyBands: new Array(this.bufferLength).fill(0),
-            smoothedBands: new Array(this.bufferLength).fill(0)
-        };
+        this.gainNode.connect(this.monitorGain);
+        this.monitorGain.connect(this.audioContext.destination);
+        this.gainNode.connect(this.streamDestination);
         
-        // Configuration des bandes de fréquence
-        this.freqRanges = {
-            bass: { start: 0, end: Math.floor(this.bufferLength * 0.1), weight: 1.5 },
-            mid: { start: Math.floor(this.bufferLength * 0.1), end: Math.floor(this.bufferLength * 0.5), weight: 1.2 },
-            high: { start: Math.floor(this.bufferLength * 0.5), end: this.bufferLength, weight: 1.0 }
-        };
+        // Les analyseurs des stems doivent aboutir à la destination pour être
+        // traités, mais sans être entendus (le mixage passe déjà par l'analyseur principal)
+        this.stemSink = this.audioContext.createGain();
+        this.stemSink.gain.value = 0;
+        this.stemSink.connect(this.audioContext.destination);
+        
+        // Analyse unifiée (bandes, attaques, tempo) lue une seule fois par image
+        this.analyzer = new AudioAnalyzer(this.audioContext.sampleRate);
+        
+        // Normalisation des intensités, avec pré-analyse des fichiers si activée
+        this.normalizer = new LoudnessNormalizer();
+        this.prescanEnabled = true;
 
         this.audioBuffer = null;
         this.source = null;
+        
+        // Stems du morceau : { name, buffer, analyser, source, analyzer, normalizer, ... }
+        this.stems = [];
+        
+        // Piste suivante décodée à l'avance et programmée pour démarrer à
+        // l'échantillon près à la fin de la piste courante
+        this.nextBuffer = null;
+        this.nextProfile = null;
+        this.nextId = null;
+        this.nextSource = null;
+        this.nextStartTime = 0;
+        
+        // Source active : 'file', 'stems' (pistes séparées), 'microphone', 'display' (audio d'onglet) ou 'stream' (URL)
+        this.sourceType = null;
+        this.liveSource = null;
+        this.mediaStream = null;
+        this.mediaElement = null;
+        
+        // Transport : position de départ dans la piste et horloge du contexte au lancement
+        this.isPlaying = false;
+        this.startOffset = 0;
+        this.startTime = 0;
+    }
+
+    static async getInputDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
     }
 
     async loadAudio(file) {
+        const audioBuffer = await this.decodeFile(file);
+        if (!audioBuffer) return false;
+        this.releaseSource();
+        this.audioBuffer = audioBuffer;
+        this.sourceType = 'file';
+        this.setMonitoring(true);
+        await this.updateLoudnessProfile();
+        return true;
+    }
+
+    // Pistes séparées d'un même morceau, lues ensemble : leur somme est lue et
+    // analysée comme un fichier, chaque piste passe en plus par son propre
+    // analyseur. Les fichiers reconnus comme une même piste sont additionnés.
+    async loadStems(files) {
+        const groups = new Map();
+        for (const file of files) {
+            const buffer = await this.decodeFile(file);
+            if (!buffer) return false;
+            const name = guessStemName(file.name);
+            groups.set(name, [...(groups.get(name) || []), buffer]);
+        }
+        if (!groups.size) return false;
+        
+        this.releaseSource();
+        const stems = STEMS
+            .filter(stem => groups.has(stem.value))
+            .map(stem => ({ name: stem.value, buffer: mixBuffers(this.audioContext, groups.get(stem.value)) }));
+        this.audioBuffer = mixBuffers(this.audioContext, stems.map(stem => stem.buffer));
+        this.stems = stems.map(stem => this.createStem(stem.name, stem.buffer));
+        this.sourceType = 'stems';
+        this.setMonitoring(true);
+        await this.updateLoudnessProfile();
+        return true;
+    }
+
+    createStem(name, buffer) {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = this.analyser.fftSize;
+        analyser.smoothingTimeConstant = this.analyser.smoothingTimeConstant;
+        analyser.connect(this.stemSink);
+        return {
+            name,
+            buffer,
+            analyser,
+            source: null,
+            dataArray: new Uint8Array(analyser.frequencyBinCount),
+            waveformArray: new Uint8Array(analyser.fftSize),
+            analyzer: new AudioAnalyzer(this.audioContext.sampleRate),
+            normalizer: new LoudnessNormalizer({ mode: this.normalizer.mode })
+        };
+    }
+
+    clearStems() {
+        this.stopStemSources();
+        this.stems.forEach(stem => stem.analyser.disconnect());
+        this.stems = [];
+    }
+
+    // Même instant de départ que la source principale, à l'échantillon près
+    startStemSources(when, offset) {
+        for (const stem of this.stems) {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = stem.buffer;
+            source.connect(stem.analyser);
+            source.start(when, offset);
+            stem.source = source;
+        }
+    }
+
+    stopStemSources() {
+        for (const stem of this.stems) {
+            if (!stem.source) continue;
+            stem.source.stop();
+            stem.source.disconnect();
+            stem.source = null;
+        }
+    }
+
+    async decodeFile(file) {
         try {
             const arrayBuffer = await file.arrayBuffer();
-            this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            return true;
+            return await this.audioContext.decodeAudioData(arrayBuffer);
         } catch (error) {
             console.error('Error loading audio:', error);
-            return false;
+            return null;
+        }
+    }
+
+    // Piste suivante d'une liste de lecture : son profil de niveaux est calculé
+    // maintenant pour ne pas ralentir la transition. id identifie la piste
+    // dans l'événement 'trackchange' (detail { id }) quand elle prend le relais.
+    async queueNext(audioBuffer, id = null) {
+        this.cancelNext();
+        this.nextProfile = this.prescanEnabled && audioBuffer
+            ? await computeLoudnessProfile(audioBuffer, this.getAnalyserOptions())
+            : null;
+        this.nextBuffer = audioBuffer;
+        this.nextId = id;
+        this.scheduleNext();
+    }
+
+    cancelNext() {
+        this.stopNextSource();
+        this.nextBuffer = null;
+        this.nextProfile = null;
+        this.nextId = null;
+    }
+
+    scheduleNext() {
+        this.stopNextSource();
+        if (!this.nextBuffer || !this.source || this.sourceType !== 'file') return;
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.nextBuffer;
+        source.connect(this.analyser);
+        this.nextStartTime = this.startTime + this.audioBuffer.duration - this.startOffset;
+        source.start(this.nextStartTime);
+        this.nextSource = source;
+    }
+
+    stopNextSource() {
+        if (this.nextSource) {
+            this.nextSource.stop();
+            this.nextSource.disconnect();
+            this.nextSource = null;
+        }
+    }
+
+    // La piste programmée est déjà en cours : elle devient la piste courante
+    advanceToNext() {
+        this.source.disconnect();
+        const source = this.nextSource;
+        const id = this.nextId;
+        this.audioBuffer = this.nextBuffer;
+        this.normalizer.setProfile(this.nextProfile);
+        this.nextSource = null;
+        this.nextBuffer = null;
+        this.nextProfile = null;
+        this.nextId = null;
+        
+        this.source = source;
+        this.startOffset = 0;
+        this.startTime = this.nextStartTime;
+        source.onended = () => this.onSourceEnded(source);
+        this.dispatchEvent(new CustomEvent('trackchange', { detail: { id } }));
+    }
+
+    onSourceEnded(source) {
+        // Ignorer les arrêts volontaires (pause, seek)
+        if (this.source !== source) return;
+        if (this.nextSource) {
+            this.advanceToNext();
+            return;
         }
+        this.source = null;
+        this.isPlaying = false;
+        this.startOffset = 0;
+        this.dispatchEvent(new Event('ended'));
     }
 
-    play() {
-        if (this.audioBuffer) {
-            // Créer un nouveau nœud source
-            this.source = this.audioContext.createBufferSource();
-            this.source.buffer = this.audioBuffer;
-            this.source.connect(this.analyser);
-            this.source.start(0);
+    // Micro ou entrée ligne, sans traitement vocal qui fausserait l'analyse
+    async useMicrophone(deviceId = null) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+            this.attachStream(stream, 'microphone');
             return true;
+        } catch (error) {
+            console.error('Error opening audio input:', error);
+            return false;
         }
-        return false;
     }
 
-    pause() {
-        if (this.source) {
-            this.source.stop();
-            this.source = null;
+    // Audio d'un onglet ou du système (le navigateur exige aussi une piste vidéo)
+    async useDisplayAudio() {
+        try {
+            const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+            if (stream.getAudioTracks().length === 0) {
+                stream.getTracks().forEach(track => track.stop());
+                throw new Error('Aucune piste audio partagée');
+            }
+            this.attachStream(stream, 'display');
+            return true;
+        } catch (error) {
+            console.error('Error capturing display audio:', error);
+            return false;
         }
     }
 
-    smoothValue(current, target, factor = 0.1, threshold = 0.001) {
-        if (Math.abs(current - target) < threshold) return target;
-        return current + (target - current) * factor;
+    // Flux distant via un élément <audio> (le serveur doit autoriser le CORS,
+    // sinon l'analyseur ne reçoit que du silence)
+    async useStream(url) {
+        try {
+            const element = new Audio();
+            element.crossOrigin = 'anonymous';
+            element.src = url;
+            await new Promise((resolve, reject) => {
+                element.addEventListener('canplay', resolve, { once: true });
+                element.addEventListener('error', () => reject(element.error), { once: true });
+            });
+            
+            this.releaseSource();
+            this.mediaElement = element;
+            this.liveSource = this.audioContext.createMediaElementSource(element);
+            this.liveSource.connect(this.analyser);
+            element.addEventListener('ended', () => {
+                this.isPlaying = false;
+                this.dispatchEvent(new Event('ended'));
+            });
+            this.sourceType = 'stream';
+            this.setMonitoring(true);
+            return true;
+        } catch (error) {
+            console.error('Error loading stream:', error);
+            return false;
+        }
     }
 
-    getFrequencyIntensity(startIndex, endIndex, weight = 1.0) {
-        let sum = 0;
-        const length = endIndex - startIndex;
-        
-        for (let i = startIndex; i < endIndex; i++) {
-            // Appliquer une courbe exponentielle pour plus de dynamisme
-            const value = this.dataArray[i] / 255;
-            sum += Math.pow(value, 1.5);
+    // Profil de fichier pour la normalisation (les sources live se calibrent en continu)
+    async updateLoudnessProfile() {
+        if (this.prescanEnabled && this.audioBuffer) {
+            this.normalizer.setProfile(await computeLoudnessProfile(this.audioBuffer, this.getAnalyserOptions()));
+        } else {
+            this.normalizer.setProfile(null);
+        }
+        for (const stem of this.stems) {
+            stem.normalizer.setProfile(this.prescanEnabled
+                ? await computeLoudnessProfile(stem.buffer, this.getAnalyserOptions())
+                : null);
         }
-        
-        // Normaliser et appliquer le poids
-        return (sum / length) * weight;
     }
 
-    updateState() {
-        // Mettre à jour les données brutes
-        this.analyser.getByteFrequencyData(this.dataArray);
-        
-        // Mettre à jour le temps d'évolution
-        this.state.evolutionTime += 0.001;
-        
-        // Calculer les intensités par bande avec lissage
-        const { bass, mid, high } = this.freqRanges;
-        
-        const targetBass = this.getFrequencyIntensity(bass.start, bass.end, bass.weight);
-        const targetMid = this.getFrequencyIntensity(mid.start, mid.end, mid.weight);
-        const targetHigh = this.getFrequencyIntensity(high.start, high.end, high.weight);
-        
-        // Appliquer le lissage avec différents facteurs selon l'intensité
-        this.state.bassIntensity = this.smoothValue(
-            this.state.bassIntensity,
-            targetBass,
-            0.2 + targetBass * 0.3
-        );
-        
-        this.state.midIntensity = this.smoothValue(
-            this.state.midIntensity,
-            targetMid,
-            0.15 + targetMid * 0.25
+    getAnalyserOptions() {
+        return {
+            fftSize: this.analyser.fftSize,
+            smoothingTimeConstant: this.analyser.smoothingTimeConstant,
+            minDecibels: this.analyser.minDecibels,
+            maxDecibels: this.analyser.maxDecibels
+        };
+    }
+
+    async setPrescanEnabled(enabled) {
+        this.prescanEnabled = enabled;
+        await this.updateLoudnessProfile();
+    }
+
+    setNormalizationMode(mode) {
+        this.normalizer.setMode(mode);
+        this.stems.forEach(stem => stem.normalizer.setMode(mode));
+    }
+
+    attachStream(stream, type) {
+        this.releaseSource();
+        this.mediaStream = stream;
+        this.liveSource = this.audioContext.createMediaStreamSource(
+            new MediaStream(stream.getAudioTracks())
         );
+        this.sourceType = type;
+        this.setMonitoring(false);
         
-        this.state.highIntensity = this.smoothValue(
-            this.state.highIntensity,
-            targetHigh,
-            0.1 + targetHigh * 0.2
-        );
+        // Capture interrompue par l'utilisateur ou périphérique débranché
+        stream.getAudioTracks()[0].addEventListener('ended', () => {
+            if (this.mediaStream !== stream) return;
+            this.releaseSource();
+            this.dispatchEvent(new Event('ended'));
+        });
+    }
+
+    // Libère la source courante, quelle qu'elle soit
+    releaseSource() {
+        this.stop();
+        this.cancelNext();
+        this.clearStems();
+        if (this.liveSource) {
+            this.liveSource.disconnect();
+            this.liveSource = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        if (this.mediaElement) {
+            this.mediaElement.pause();
+            this.mediaElement.removeAttribute('src');
+            this.mediaElement = null;
+        }
+        this.audioBuffer = null;
+        this.sourceType = null;
+        this.normalizer.setProfile(null);
+    }
+
+    hasSource() {
+        return this.sourceType !== null;
+    }
+
+    isLive() {
+        return this.sourceType === 'microphone' || this.sourceType === 'display';
+    }
+
+    isSeekable() {
+        return this.sourceType === 'file' || this.sourceType === 'stems' ||
+            (this.sourceType === 'stream' && Number.isFinite(this.mediaElement.duration));
+    }
+
+    setMonitoring(enabled) {
+        this.monitorGain.gain.value = enabled ? 1 : 0;
+    }
+
+    isMonitoring() {
+        return this.monitorGain.gain.value > 0;
+    }
+
+    getParams() {
+        return {
+            fftSize: this.analyser.fftSize,
+            smoothingTimeConstant: this.analyser.smoothingTimeConstant,
+            gain: this.gainNode.gain.value
+        };
+    }
+
+    async setParam(key, value) {
+        if (key === 'fftSize') {
+            if (value === this.analyser.fftSize) return;
+            this.analyser.fftSize = value;
+            this.bufferLength = this.analyser.frequencyBinCount;
+            this.dataArray = new Uint8Array(this.bufferLength);
+            this.waveformArray = new Uint8Array(this.analyser.fftSize);
+            for (const stem of this.stems) {
+                stem.analyser.fftSize = value;
+                stem.dataArray = new Uint8Array(stem.analyser.frequencyBinCount);
+                stem.waveformArray = new Uint8Array(value);
+            }
+            // Le profil de fichier dépend de la résolution de l'analyse
+            await this.updateLoudnessProfile();
+        } else if (key === 'smoothingTimeConstant') {
+            this.analyser.smoothingTimeConstant = value;
+            this.stems.forEach(stem => { stem.analyser.smoothingTimeConstant = value; });
+        } else if (key === 'gain') {
+            this.gainNode.gain.value = value;
+        }
+    }
+
+    async setParams(values) {
+        for (const [key, value] of Object.entries(sanitizeParams(AudioSystem.params, values))) {
+            await this.setParam(key, value);
+        }
+    }
+
+    getOutputStream() {
+        return this.streamDestination.stream;
+    }
+
+    play(offset = this.startOffset) {
+        if (!this.hasSource()) return false;
         
-        // Calculer l'intensité globale avec pondération
-        this.state.overallIntensity = (
-            this.state.bassIntensity * 0.4 +
-            this.state.midIntensity * 0.35 +
-            this.state.highIntensity * 0.25
-        );
+        // Le contexte peut être suspendu par la politique d'autoplay
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
         
-        // Mettre à jour toutes les bandes de fréquence avec lissage
-        for (let i = 0; i < this.bufferLength; i++) {
-            const rawValue = this.dataArray[i] / 255;
-            let weight = 1.0;
+        if (this.sourceType === 'stream') {
+            const element = this.mediaElement;
+            element.play().catch(error => this.onPlaybackError(element, error));
+        } else if (this.isLive()) {
+            // Entrée live : la "lecture" branche simplement la capture sur l'analyseur
+            if (!this.isPlaying) this.liveSource.connect(this.analyser);
+            this.startTime = this.audioContext.currentTime;
+        } else {
+            this.stopSource();
             
-            // Appliquer les poids selon la plage
-            if (i < bass.end) weight = bass.weight;
-            else if (i < mid.end) weight = mid.weight;
+            // Reprendre au début si la position est en fin de piste
+            offset = Math.max(0, offset);
+            if (offset >= this.audioBuffer.duration) offset = 0;
             
-            const targetValue = Math.pow(rawValue, 1.5) * weight;
-            this.state.smoothedBands[i] = this.smoothValue(
-                this.state.smoothedBands[i],
-                targetValue,
-                0.1 + rawValue * 0.2
-            );
+            // Créer un nouveau nœud source (un BufferSource ne peut démarrer qu'une fois)
+            const when = this.audioContext.currentTime;
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.audioBuffer;
+            source.connect(this.analyser);
+            source.onended = () => this.onSourceEnded(source);
+            source.start(when, offset);
+            this.startStemSources(when, offset);
+            
+            this.source = source;
+            this.startOffset = offset;
+            this.startTime = when;
+            this.scheduleNext();
         }
+        
+        this.isPlaying = true;
+        return true;
     }
 
-    getFrequencyRange(startFreq, endFreq) {
-        // Convertir les fréquences en indices
-        const nyquist = this.audioContext.sampleRate / 2;
-        const startIndex = Math.floor((startFreq / nyquist) * this.bufferLength);
-        const endIndex = Math.floor((endFreq / nyquist) * this.bufferLength);
-        
-        // Obtenir les données actuelles
-        this.analyser.getByteFrequencyData(this.dataArray);
-        
-        // Calculer l'intensité moyenne de la plage
-        let sum = 0;
-        for (let i = startIndex; i < endIndex; i++) {
-            sum += this.dataArray[i] / 255; // Normaliser entre 0 et 1
+    // Lecture d'un flux refusée (autoplay) ou impossible (décodage) : retour
+    // en pause et 'playbackerror' (detail { error }) prévient l'interface.
+    // Un play() interrompu par pause() ou un changement de source est ignoré.
+    onPlaybackError(element, error) {
+        if (element !== this.mediaElement || !this.isPlaying) return;
+        console.error('Erreur lors de la lecture du flux:', error);
+        this.isPlaying = false;
+        this.dispatchEvent(new CustomEvent('playbackerror', { detail: { error } }));
+    }
+
+    stopSource() {
+        this.stopNextSource();
+        this.stopStemSources();
+        if (this.source) {
+            const source = this.source;
+            this.source = null;
+            source.stop();
+            source.disconnect();
         }
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
         
-        // Retourner la moyenne avec une courbe de réponse plus dynamique
-        const average = sum / (endIndex - startIndex);
-        return Math.pow(average, 1.5); // Courbe de réponse non linéaire
+        if (this.sourceType === 'stream') {
+            this.mediaElement.pause();
+        } else if (this.isLive()) {
+            this.liveSource.disconnect();
+        } else {
+            this.startOffset = this.getCurrentTime();
+            this.stopSource();
+        }
+        this.isPlaying = false;
     }
 
-    getBassFrequency() {
-        this.updateState();
-        return this.state.bassIntensity;
+    stop() {
+        this.pause();
+        if (this.mediaElement) {
+            this.mediaElement.currentTime = 0;
+        }
+        this.isPlaying = false;
+        this.startOffset = 0;
     }
 
-    getMidFrequency() {
-        return this.state.midIntensity;
+    seek(seconds) {
+        if (!this.isSeekable()) return;
+        const offset = Math.max(0, Math.min(seconds, this.getDuration()));
+        
+        if (this.sourceType === 'stream') {
+            this.mediaElement.currentTime = offset;
+        } else if (this.isPlaying) {
+            this.play(offset);
+        } else {
+            this.startOffset = offset;
+        }
+        this.dispatchEvent(new Event('seek'));
     }
 
-    getHighFrequency() {
-        return this.state.highIntensity;
+    getCurrentTime() {
+        if (this.sourceType === 'stream') return this.mediaElement.currentTime;
+        if (this.isLive()) return this.isPlaying ? this.audioContext.currentTime - this.startTime : 0;
+        if (!this.audioBuffer) return 0;
+        if (!this.isPlaying) return this.startOffset;
+        
+        const elapsed = this.audioContext.currentTime - this.startTime;
+        return Math.min(this.audioBuffer.duration, this.startOffset + elapsed);
     }
 
-    getOverallIntensity() {
-        return this.state.overallIntensity;
+    // 0 pour les entrées live et les flux sans fin
+    getDuration() {
+        if (this.sourceType === 'stream') {
+            return Number.isFinite(this.mediaElement.duration) ? this.mediaElement.duration : 0;
+        }
+        return this.audioBuffer ? this.audioBuffer.duration : 0;
     }
 
-    getEvolutionTime() {
-        return this.state.evolutionTime;
+    // Lit le spectre et la forme d'onde une seule fois et retourne l'analyse
+    // complète de l'image courante (voir AudioAnalyzer)
+    analyze() {
+        this.analyser.getByteFrequencyData(this.dataArray);
+        this.analyser.getByteTimeDomainData(this.waveformArray);
+        const time = this.getCurrentTime();
+        const analysis = this.normalizer.apply(this.analyzer.analyze(this.dataArray, this.waveformArray, time));
+        
+        // Analyse propre à chaque stem, même structure que l'analyse principale
+        if (this.stems.length) {
+            analysis.stems = {};
+            for (const stem of this.stems) {
+                stem.analyser.getByteFrequencyData(stem.dataArray);
+                stem.analyser.getByteTimeDomainData(stem.waveformArray);
+                analysis.stems[stem.name] = stem.normalizer.apply(stem.analyzer.analyze(stem.dataArray, stem.waveformArray, time));
+            }
+        }
+        return analysis;
     }
 
-    getSmoothedBand(index) {
-        return this.state.smoothedBands[index];
+    getFrequencyRange(startFreq, endFreq) {
+        // Obtenir les données actuelles
+        this.analyser.getByteFrequencyData(this.dataArray);
+        
+        return getBandIntensity(this.dataArray, this.audioContext.sampleRate, startFreq, endFreq);
     }
+
 }
@@ -0,0 +1,174 @@
+import { getVisualizer, hasVisualizer } from './visualizerRegistry.js';
+import { getModulationTargets, sanitizeRoutes } from './modulation.js';
+import { sanitizeParams } from './params.js';
+
+// Automation calée sur la position de lecture (en secondes) :
+// - des clés { time, value, easing } par paramètre d'une scène, interpolées
+//   entre deux clés selon la courbe de la clé d'arrivée ;
+// - des repères { time, scene, crossfade, params, modulation } qui changent
+//   de scène. Avant le premier repère, c'est lui qui s'applique, pour que
+//   l'aperçu, l'enregistrement et le rendu hors ligne montrent la même chose
+//   quel que soit le point de départ.
+export const EASINGS = [
+    { value: 'linear', label: 'Linéaire' },
+    { value: 'easeIn', label: 'Accélération' },
+    { value: 'easeOut', label: 'Décélération' },
+    { value: 'easeInOut', label: 'Douce' },
+    { value: 'step', label: 'Palier' }
+];
+
+const EASING_FUNCTIONS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    step: () => 0
+};
+
+const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+export class Automation {
+    constructor(data) {
+        this.setData(data);
+    }
+
+    isEmpty() {
+        return this.tracks.length === 0 && this.cues.length === 0;
+    }
+
+    getData() {
+        return JSON.parse(JSON.stringify({ tracks: this.tracks, cues: this.cues }));
+    }
+
+    // Données valides uniquement (préréglages importés ou modifiés à la main)
+    setData(data = {}) {
+        this.tracks = [];
+        this.cues = [];
+        for (const track of Array.isArray(data.tracks) ? data.tracks : []) {
+            for (const keyframe of Array.isArray(track.keyframes) ? track.keyframes : []) {
+                this.addKeyframe(track.scene, track.key, keyframe.time, keyframe.value, keyframe.easing);
+            }
+        }
+        for (const cue of Array.isArray(data.cues) ? data.cues : []) {
+            this.addCue(cue);
+        }
+        this.activeCue = null;
+    }
+
+    getTrack(scene, key) {
+        return this.tracks.find(track => track.scene === scene && track.key === key);
+    }
+
+    // Une clé au même instant remplace la précédente
+    addKeyframe(scene, key, time, value, easing = 'linear') {
+        if (!hasVisualizer(scene) || !isTime(time)) return false;
+        const param = getModulationTargets(getVisualizer(scene).params).find(entry => entry.key === key);
+        const sanitized = param && sanitizeParams([param], { [key]: value });
+        if (!sanitized || !(key in sanitized)) return false;
+
+        let track = this.getTrack(scene, key);
+        if (!track) {
+            track = { scene, key, keyframes: [] };
+            this.tracks.push(track);
+        }
+        track.keyframes = track.keyframes.filter(keyframe => keyframe.time !== time);
+        track.keyframes.push({
+            time,
+            value: sanitized[key],
+            easing: EASING_FUNCTIONS[easing] ? easing : 'linear'
+        });
+        track.keyframes.sort((a, b) => a.time - b.time);
+        return true;
+    }
+
+    setKeyframeEasing(scene, key, time, easing) {
+        const track = this.getTrack(scene, key);
+        const keyframe = track && track.keyframes.find(entry => entry.time === time);
+        if (keyframe && EASING_FUNCTIONS[easing]) keyframe.easing = easing;
+    }
+
+    removeKeyframe(scene, key, time) {
+        const track = this.getTrack(scene, key);
+        if (!track) return;
+        track.keyframes = track.keyframes.filter(keyframe => keyframe.time !== time);
+        if (!track.keyframes.length) {
+            this.tracks.splice(this.tracks.indexOf(track), 1);
+        }
+    }
+
+    addCue({ time, scene, crossfade = 0, params, modulation }) {
+        if (!hasVisualizer(scene) || !isTime(time)) return false;
+        const schema = getVisualizer(scene).params;
+        this.cues = this.cues.filter(cue => cue.time !== time);
+        this.cues.push({
+            time,
+            scene,
+            crossfade: isTime(crossfade) ? crossfade : 0,
+            params: sanitizeParams(schema, params),
+            modulation: sanitizeRoutes(modulation, schema)
+        });
+        this.cues.sort((a, b) => a.time - b.time);
+        this.activeCue = null;
+        return true;
+    }
+
+    removeCue(time) {
+        this.cues = this.cues.filter(cue => cue.time !== time);
+        this.activeCue = null;
+    }
+
+    cueAt(time) {
+        let current = this.cues[0] || null;
+        for (const cue of this.cues) {
+            if (cue.time > time) break;
+            current = cue;
+        }
+        return current;
+    }
+
+    valueAt(track, time) {
+        const keyframes = track.keyframes;
+        if (time <= keyframes[0].time) return keyframes[0].value;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const next = keyframes[i];
+            if (time < next.time) {
+                const previous = keyframes[i - 1];
+                const progress = (time - previous.time) / (next.time - previous.time);
+                const eased = EASING_FUNCTIONS[next.easing](progress);
+                return previous.value + (next.value - previous.value) * eased;
+            }
+        }
+        return keyframes[keyframes.length - 1].value;
+    }
+
+    // Applique l'automation à l'instant time sur un SceneManager (avant update).
+    // jump : saut dans la lecture, le changement de scène se fait sans fondu
+    apply(scenes, time, { jump = false } = {}) {
+        const cue = this.cueAt(time);
+        if (cue && cue !== this.activeCue) {
+            this.activeCue = cue;
+            if (cue.scene !== scenes.sceneId) {
+                scenes.setScene(cue.scene, {
+                    crossfade: jump ? 0 : cue.crossfade,
+                    params: cue.params,
+                    modulation: cue.modulation
+                });
+            } else {
+                scenes.visualizer.setParams(cue.params);
+                scenes.modulation.setRoutes(cue.modulation);
+            }
+        }
+
+        const visualizer = scenes.visualizer;
+        if (!visualizer) return;
+        const current = visualizer.getParams();
+        for (const track of this.tracks) {
+            if (track.scene !== scenes.sceneId) continue;
+            const value = this.valueAt(track, time);
+            if (value !== current[track.key]) {
+                visualizer.setParam(track.key, value);
+            }
+        }
+    }
+}
@@ -0,0 +1,99 @@
+import { EASINGS } from './automation.js';
+import { getVisualizer } from './visualizerRegistry.js';
+
+// Position avec les dixièmes de seconde (m:ss.s)
+function formatCueTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function getParamLabel(scene, key) {
+    const param = getVisualizer(scene).params.find(entry => entry.key === key);
+    return param ? param.label : key;
+}
+
+// Liste des repères de scène et des clés de l'automation, triés par position,
+// et repères correspondants sous la timeline (datalist du curseur)
+export class AutomationEditor {
+    constructor(container, markers, { onSeek, onChange }) {
+        this.container = container;
+        this.markers = markers;
+        this.onSeek = onSeek;
+        this.onChange = onChange;
+    }
+
+    render(automation) {
+        const entries = [
+            ...automation.cues.map(cue => ({ time: cue.time, cue })),
+            ...automation.tracks.flatMap(track => track.keyframes.map(keyframe => ({ time: keyframe.time, track, keyframe })))
+        ].sort((a, b) => a.time - b.time);
+
+        this.container.innerHTML = '';
+        this.markers.innerHTML = '';
+        for (const time of new Set(entries.map(entry => entry.time))) {
+            const option = document.createElement('option');
+            option.value = time;
+            this.markers.appendChild(option);
+        }
+
+        if (!entries.length) {
+            const empty = document.createElement('p');
+            empty.className = 'automation-empty';
+            empty.textContent = 'Aucune clé ni repère.';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.className = 'automation-entry';
+
+            const time = document.createElement('button');
+            time.className = 'automation-time';
+            time.textContent = formatCueTime(entry.time);
+            time.title = 'Aller à cette position';
+            time.addEventListener('click', () => this.onSeek(entry.time));
+            row.appendChild(time);
+
+            const label = document.createElement('span');
+            if (entry.cue) {
+                label.textContent = `Scène : ${getVisualizer(entry.cue.scene).name}`;
+                row.appendChild(label);
+            } else {
+                const { track, keyframe } = entry;
+                label.textContent = `${getParamLabel(track.scene, track.key)} = ${keyframe.value}`;
+                row.appendChild(label);
+
+                const easing = document.createElement('select');
+                easing.title = 'Courbe jusqu\'à cette clé';
+                for (const option of EASINGS) {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    easing.appendChild(element);
+                }
+                easing.value = keyframe.easing;
+                easing.addEventListener('change', () => {
+                    automation.setKeyframeEasing(track.scene, track.key, keyframe.time, easing.value);
+                    this.onChange();
+                });
+                row.appendChild(easing);
+            }
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Supprimer';
+            remove.addEventListener('click', () => {
+                if (entry.cue) {
+                    automation.removeCue(entry.time);
+                } else {
+                    automation.removeKeyframe(entry.track.scene, entry.track.key, entry.time);
+                }
+                this.onChange();
+            });
+            row.appendChild(remove);
+
+            this.container.appendChild(row);
+        }
+    }
+}
@@ -0,0 +1,184 @@
+import { getParamValue, setParamValue, sanitizeParams } from './params.js';
+
+// Arrière-plan dessiné sous la scène et ses effets : noir, couleur unie,
+// dégradé, image ou vidéo en boucle. Le style est enregistré dans les
+// préréglages ; l'image ou la vidéo, propres au projet, ne le sont pas.
+export class Background {
+    static params = [
+        {
+            key: 'type', label: 'Fond', type: 'select', default: 'black',
+            options: [
+                { value: 'black', label: 'Noir' },
+                { value: 'solid', label: 'Couleur unie' },
+                { value: 'linear', label: 'Dégradé linéaire' },
+                { value: 'radial', label: 'Dégradé radial' },
+                { value: 'media', label: 'Image ou vidéo' }
+            ]
+        },
+        { key: 'color', label: 'Couleur', type: 'color', default: '#101028' },
+        { key: 'color2', label: 'Seconde couleur', type: 'color', default: '#000000' },
+        { key: 'angle', label: 'Angle du dégradé (°)', min: 0, max: 360, step: 1, default: 90 },
+        {
+            key: 'fit', label: 'Cadrage du média', type: 'select', default: 'cover',
+            options: [{ value: 'cover', label: 'Remplir' }, { value: 'contain', label: 'Contenir' }]
+        },
+        { key: 'dim', label: 'Assombrir le média', min: 0, max: 1, step: 0.05, default: 0.3 }
+    ];
+
+    constructor(params) {
+        for (const param of Background.params) {
+            setParamValue(this, param.key, param.default);
+        }
+        this.setParams(params);
+        this.image = null;
+        this.video = null;
+        this.buffer = null;
+    }
+
+    getParams() {
+        const values = {};
+        for (const param of Background.params) {
+            values[param.key] = getParamValue(this, param.key);
+        }
+        return values;
+    }
+
+    setParam(key, value) {
+        setParamValue(this, key, value);
+    }
+
+    setParams(values) {
+        for (const [key, value] of Object.entries(sanitizeParams(Background.params, values))) {
+            this.setParam(key, value);
+        }
+    }
+
+    // Image ou vidéo (lue en boucle et sans le son) ; renvoie false si illisible
+    async setMedia(file) {
+        this.clearMedia();
+        let url = null;
+        try {
+            if (file.type.startsWith('video/')) {
+                const video = document.createElement('video');
+                video.muted = true;
+                video.loop = true;
+                video.playsInline = true;
+                url = URL.createObjectURL(file);
+                video.src = url;
+                await new Promise((resolve, reject) => {
+                    video.onloadeddata = resolve;
+                    video.onerror = () => reject(video.error);
+                });
+                this.playVideo(video);
+                this.video = video;
+            } else {
+                this.image = await createImageBitmap(file);
+            }
+            this.type = 'media';
+            return true;
+        } catch (error) {
+            console.error('Erreur lors du chargement de l\'arrière-plan:', error);
+            if (url) URL.revokeObjectURL(url);
+            return false;
+        }
+    }
+
+    clearMedia() {
+        if (this.image && this.image.close) this.image.close();
+        if (this.video) {
+            this.video.pause();
+            URL.revokeObjectURL(this.video.src);
+        }
+        this.image = null;
+        this.video = null;
+    }
+
+    // Rendu hors ligne : la vidéo est calée sur l'instant de l'image rendue
+    async seek(time) {
+        const video = this.video;
+        if (this.type !== 'media' || !video || !video.duration) return;
+        video.pause();
+        const target = time % video.duration;
+        if (Math.abs(video.currentTime - target) < 1e-3) return;
+        await new Promise(resolve => {
+            video.addEventListener('seeked', resolve, { once: true });
+            video.currentTime = target;
+        });
+    }
+
+    // Reprise de la lecture en boucle après un rendu hors ligne
+    resume() {
+        if (this.video) this.playVideo(this.video);
+    }
+
+    // Lecture refusée (économie d'énergie...) : l'image reste figée
+    playVideo(video) {
+        video.play().catch(error => {
+            console.error('Lecture de la vidéo d\'arrière-plan impossible:', error);
+        });
+    }
+
+    draw(ctx, width = ctx.canvas.width, height = ctx.canvas.height) {
+        ctx.save();
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+
+        if (this.type === 'solid') {
+            ctx.fillStyle = this.color;
+            ctx.fillRect(0, 0, width, height);
+        } else if (this.type === 'linear') {
+            const angle = this.angle * Math.PI / 180;
+            const length = (Math.abs(Math.cos(angle)) * width + Math.abs(Math.sin(angle)) * height) / 2;
+            const dx = Math.cos(angle) * length;
+            const dy = Math.sin(angle) * length;
+            const gradient = ctx.createLinearGradient(width / 2 - dx, height / 2 - dy, width / 2 + dx, height / 2 + dy);
+            gradient.addColorStop(0, this.color);
+            gradient.addColorStop(1, this.color2);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        } else if (this.type === 'radial') {
+            const gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+            gradient.addColorStop(0, this.color);
+            gradient.addColorStop(1, this.color2);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        } else if (this.type === 'media') {
+            this.drawMedia(ctx, width, height);
+        }
+        ctx.restore();
+    }
+
+    // Sous ce qui est déjà dessiné (scène et effets) : le fond est composé à
+    // part, destination-over empilant chaque tracé sous le précédent
+    drawBehind(ctx) {
+        const { width, height } = ctx.canvas;
+        if (!this.buffer || this.buffer.width !== width || this.buffer.height !== height) {
+            this.buffer = new OffscreenCanvas(width, height);
+        }
+        this.draw(this.buffer.getContext('2d'));
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.drawImage(this.buffer, 0, 0);
+        ctx.restore();
+    }
+
+    drawMedia(ctx, width, height) {
+        const media = this.video || this.image;
+        if (!media) return;
+        const mediaWidth = this.video ? this.video.videoWidth : media.width;
+        const mediaHeight = this.video ? this.video.videoHeight : media.height;
+        if (!mediaWidth || !mediaHeight) return;
+
+        const scale = this.fit === 'cover'
+            ? Math.max(width / mediaWidth, height / mediaHeight)
+            : Math.min(width / mediaWidth, height / mediaHeight);
+        const drawWidth = mediaWidth * scale;
+        const drawHeight = mediaHeight * scale;
+        ctx.drawImage(media, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+
+        if (this.dim > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${this.dim})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+}
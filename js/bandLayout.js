@@ -0,0 +1,145 @@
+// Découpage du spectre en bandes : N bandes définies en Hz ou générées sur une
+// échelle logarithmique, mel, Bark ou en tiers d'octave. La valeur d'une bande
+// est la moyenne du spectre interpolé entre les bins (les bins de l'analyseur
+// sont espacés de sampleRate / fftSize : 21,5 Hz à 2048, trop large pour les
+// bandes graves), avec une pondération A optionnelle.
+export const BAND_SCALES = [
+    { value: 'log', label: 'Logarithmique' },
+    { value: 'mel', label: 'Mel' },
+    { value: 'bark', label: 'Bark' },
+    { value: 'thirdOctave', label: 'Tiers d\'octave' }
+];
+
+const DECIBEL_RANGE = 70; // maxDecibels - minDecibels de l'analyseur (-30 - -100)
+const MIN_WEIGHTING = -100; // dB, pour les fréquences proches de 0 Hz
+
+// Conversions Hz ↔ échelle, dans les deux sens
+const SCALES = {
+    log: {
+        to: (f) => Math.log(f),
+        from: (value) => Math.exp(value)
+    },
+    mel: {
+        to: (f) => 2595 * Math.log10(1 + f / 700),
+        from: (mel) => 700 * (Math.pow(10, mel / 2595) - 1)
+    },
+    // Formule de Traunmüller
+    bark: {
+        to: (f) => 26.81 * f / (1960 + f) - 0.53,
+        from: (z) => 1960 * (z + 0.53) / (26.28 - z)
+    }
+};
+
+// Bandes { start, end, center } en Hz, de minFrequency à maxFrequency. En
+// tiers d'octave, les centres normalisés (1 kHz × 2^(k/3)) fixent le nombre de bandes.
+export function generateBands({ scale = 'log', count = 32, minFrequency = 20, maxFrequency = 20000 } = {}) {
+    if (scale === 'thirdOctave') {
+        const bands = [];
+        const first = Math.ceil(3 * Math.log2(minFrequency / 1000));
+        const last = Math.floor(3 * Math.log2(maxFrequency / 1000));
+        for (let k = first; k <= last; k++) {
+            const center = 1000 * Math.pow(2, k / 3);
+            bands.push({ start: center * Math.pow(2, -1 / 6), end: center * Math.pow(2, 1 / 6), center });
+        }
+        return bands;
+    }
+
+    const { to, from } = SCALES[scale] || SCALES.log;
+    const low = to(minFrequency);
+    const high = to(maxFrequency);
+    const bands = [];
+    for (let i = 0; i < count; i++) {
+        bands.push({
+            start: from(low + (high - low) * i / count),
+            end: from(low + (high - low) * (i + 1) / count),
+            center: from(low + (high - low) * (i + 0.5) / count)
+        });
+    }
+    return bands;
+}
+
+// Pondération A (CEI 61672), en dB
+export function aWeighting(f) {
+    const f2 = f * f;
+    const response = (12194 * 12194 * f2 * f2) / (
+        (f2 + 20.6 * 20.6) *
+        Math.sqrt((f2 + 107.7 * 107.7) * (f2 + 737.9 * 737.9)) *
+        (f2 + 12194 * 12194)
+    );
+    return response > 0 ? Math.max(MIN_WEIGHTING, 20 * Math.log10(response) + 2) : MIN_WEIGHTING;
+}
+
+// Valeur du spectre à une position fractionnaire, interpolée entre deux bins
+function sampleSpectrum(spectrum, position) {
+    const index = Math.max(0, Math.min(spectrum.length - 1, Math.floor(position)));
+    const next = Math.min(spectrum.length - 1, index + 1);
+    return spectrum[index] + (spectrum[next] - spectrum[index]) * (position - index);
+}
+
+// Moyenne du spectre (linéaire par morceaux entre les bins) sur [from, to],
+// en positions de bins fractionnaires
+export function averageSpectrum(spectrum, from, to) {
+    if (to - from < 1e-6) return sampleSpectrum(spectrum, from);
+    let sum = 0;
+    let position = from;
+    while (position < to) {
+        const next = Math.min(to, Math.floor(position) + 1);
+        sum += (sampleSpectrum(spectrum, position) + sampleSpectrum(spectrum, next)) / 2 * (next - position);
+        position = next;
+    }
+    return sum / (to - from);
+}
+
+export class BandLayout {
+    // bands : [{ start, end }] en Hz ; weighting : pondération A
+    constructor(bands, { weighting = false } = {}) {
+        this.bands = bands;
+        this.weighting = weighting;
+        this.values = new Float32Array(bands.length);
+        this.weighted = null;
+        this.weights = null; // décalage par bin, en unités de l'analyseur
+        this.weightsKey = '';
+    }
+
+    static fromScale({ weighting, ...options } = {}) {
+        return new BandLayout(generateBands(options), { weighting });
+    }
+
+    // Table de pondération recalculée quand la taille de FFT ou la fréquence change
+    getWeights(length, sampleRate) {
+        const key = `${length}:${sampleRate}`;
+        if (this.weightsKey !== key) {
+            const binWidth = sampleRate / 2 / length;
+            this.weights = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                this.weights[i] = aWeighting(i * binWidth) * 255 / DECIBEL_RANGE;
+            }
+            this.weighted = new Float32Array(length);
+            this.weightsKey = key;
+        }
+        return this.weights;
+    }
+
+    // Intensité de chaque bande dans [0, 1] à partir d'un spectre en octets
+    // (analyseur ou OfflineAnalyser) ; le tableau renvoyé est réutilisé
+    measure(spectrum, sampleRate) {
+        let source = spectrum;
+        if (this.weighting) {
+            const weights = this.getWeights(spectrum.length, sampleRate);
+            for (let i = 0; i < spectrum.length; i++) {
+                this.weighted[i] = Math.max(0, Math.min(255, spectrum[i] + weights[i]));
+            }
+            source = this.weighted;
+        }
+
+        // Bin i : fréquence i × nyquist / longueur
+        const binsPerHz = spectrum.length / (sampleRate / 2);
+        const lastBin = spectrum.length - 1;
+        this.bands.forEach((band, index) => {
+            const from = Math.min(lastBin, band.start * binsPerHz);
+            const to = Math.min(lastBin, band.end * binsPerHz);
+            this.values[index] = averageSpectrum(source, from, to) / 255;
+        });
+        return this.values;
+    }
+}
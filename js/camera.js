@@ -0,0 +1,221 @@
+import { sanitizeParams } from './params.js';
+
+// Caméra 3D de la boule d'énergie : orbite autour du centre (lacet, tangage),
+// zoom (la caméra avance vers le centre) et décalage de l'image. Les réglages
+// sont des paramètres de la scène (clés 'camera.*') : ils passent dans les
+// préréglages, l'automation et la modulation. Les mouvements automatiques
+// avancent avec la simulation, donc aussi dans les enregistrements et le
+// rendu hors ligne.
+export const CAMERA_MOTIONS = [
+    { value: 'none', label: 'Fixe' },
+    { value: 'orbit', label: 'Orbite lente' },
+    { value: 'dolly', label: 'Avancée sur les basses' },
+    { value: 'orbitDolly', label: 'Orbite et avancée' }
+];
+
+// Position de la caméra, enregistrée dans les vues
+export const CAMERA_VIEW_PARAMS = [
+    { key: 'yaw', label: 'Caméra : lacet (°)', min: -180, max: 180, step: 1, default: 0 },
+    { key: 'pitch', label: 'Caméra : tangage (°)', min: -89, max: 89, step: 1, default: 0 },
+    { key: 'zoom', label: 'Caméra : zoom', min: 0.25, max: 4, step: 0.05, default: 1 },
+    { key: 'panX', label: 'Caméra : décalage horizontal', min: -2000, max: 2000, step: 1, default: 0 },
+    { key: 'panY', label: 'Caméra : décalage vertical', min: -2000, max: 2000, step: 1, default: 0 }
+];
+
+export const CAMERA_PARAMS = [
+    ...CAMERA_VIEW_PARAMS,
+    { key: 'motion', label: 'Mouvement de caméra', type: 'select', options: CAMERA_MOTIONS, default: 'none' },
+    { key: 'orbitSpeed', label: 'Vitesse d\'orbite (°/s)', min: -90, max: 90, step: 1, default: 10 },
+    { key: 'dolly', label: 'Avancée sur les basses', min: 0, max: 1, step: 0.05, default: 0.3 }
+].map(param => ({ ...param, key: `camera.${param.key}` }));
+
+const NEAR = 0.05; // plan proche, en fraction de la distance de la caméra
+const DOLLY_RELEASE = 0.4; // s, retour après une avancée
+const DOLLY_ATTACK = 0.08; // s
+
+const ORBIT_SENSITIVITY = 0.3; // degrés par pixel glissé
+const WHEEL_SENSITIVITY = 0.001;
+
+const DEG = Math.PI / 180;
+
+export class Camera {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.orbitAngle = 0; // rad, ajouté au lacet réglé
+        this.dollyPulse = 0;
+        this.dollyLevel = 0;
+    }
+
+    // Mouvements automatiques ; settings : réglages 'camera.*' du visualiseur,
+    // dt : durée de l'image en secondes
+    update(settings, analysis, dt) {
+        const { motion } = settings;
+        if (motion === 'orbit' || motion === 'orbitDolly') {
+            this.orbitAngle = (this.orbitAngle + settings.orbitSpeed * DEG * dt) % (Math.PI * 2);
+        }
+
+        // Avancée rapide à chaque attaque dans les basses, retour plus lent
+        const kick = analysis.bands.subBass.onset || analysis.bands.bass.onset;
+        const dolly = motion === 'dolly' || motion === 'orbitDolly';
+        this.dollyPulse = dolly && kick ? 1 : this.dollyPulse * Math.exp(-dt / DOLLY_RELEASE);
+        this.dollyLevel += (this.dollyPulse - this.dollyLevel) * Math.min(1, dt / DOLLY_ATTACK);
+    }
+
+    // Sinus, cosinus et distance calculés une fois par image ; perspective :
+    // distance de la caméra au centre avec un zoom de 1
+    setView(settings, perspective) {
+        const yaw = settings.yaw * DEG + this.orbitAngle;
+        const pitch = settings.pitch * DEG;
+        this.cosYaw = Math.cos(yaw);
+        this.sinYaw = Math.sin(yaw);
+        this.cosPitch = Math.cos(pitch);
+        this.sinPitch = Math.sin(pitch);
+        this.zoom = settings.zoom * (1 + this.dollyLevel * settings.dolly);
+        this.perspective = perspective;
+        this.distance = perspective / this.zoom;
+        this.panX = settings.panX;
+        this.panY = settings.panY;
+    }
+
+    // Écrit dans out le point projeté (relatif au centre de l'image), sa
+    // profondeur et visible = false s'il est derrière le plan proche
+    project(x, y, z, out) {
+        // Lacet autour de Y
+        let temp = x;
+        x = x * this.cosYaw + z * this.sinYaw;
+        z = -temp * this.sinYaw + z * this.cosYaw;
+
+        // Tangage autour de X
+        temp = y;
+        y = y * this.cosPitch - z * this.sinPitch;
+        z = temp * this.sinPitch + z * this.cosPitch;
+
+        const depth = this.distance + z;
+        out.visible = depth > this.distance * NEAR;
+        const scale = out.visible ? this.perspective / depth : 0;
+        out.x = x * scale + this.panX;
+        out.y = y * scale + this.panY;
+        out.z = z;
+        return out;
+    }
+}
+
+// Vue enregistrée { name, yaw, pitch, zoom, panX, panY } de la caméra d'un visualiseur
+export function getCameraView(visualizer, name) {
+    const params = visualizer.getParams();
+    const view = { name };
+    for (const param of CAMERA_VIEW_PARAMS) {
+        view[param.key] = params[`camera.${param.key}`];
+    }
+    return view;
+}
+
+export function applyCameraView(visualizer, view) {
+    const values = {};
+    for (const param of CAMERA_VIEW_PARAMS) {
+        values[`camera.${param.key}`] = view[param.key] ?? param.default;
+    }
+    visualizer.setParams(values);
+}
+
+// Vues valides (préréglages importés ou modifiés à la main)
+export function sanitizeCameraViews(views) {
+    if (!Array.isArray(views)) return [];
+    return views
+        .filter(view => view && typeof view === 'object')
+        .map((view, index) => ({
+            name: typeof view.name === 'string' ? view.name : `Vue ${index + 1}`,
+            ...Object.fromEntries(CAMERA_VIEW_PARAMS.map(param => [param.key, param.default])),
+            ...sanitizeParams(CAMERA_VIEW_PARAMS, view)
+        }));
+}
+
+// Gestes sur le canvas affiché : glisser pour tourner autour de la scène,
+// clic droit, clic du milieu ou Maj pour décaler l'image, molette ou pincement
+// pour zoomer, double-clic pour revenir à la vue par défaut. À deux doigts, le
+// déplacement du milieu décale l'image.
+export class CameraControls {
+    // getTarget() : visualiseur doté d'une caméra, ou null ; getScale() :
+    // pixels de la scène par pixel affiché ; onChange() après chaque geste
+    constructor(element, { getTarget, getScale = () => 1, onChange = () => {} }) {
+        this.getTarget = getTarget;
+        this.getScale = getScale;
+        this.onChange = onChange;
+        this.pointers = new Map(); // pointerId → { x, y }
+        this.panning = false;
+
+        element.addEventListener('pointerdown', (event) => {
+            if (!this.getTarget()) return;
+            element.setPointerCapture(event.pointerId);
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            this.panning = event.button === 1 || event.button === 2 || event.shiftKey;
+        });
+        element.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        for (const type of ['pointerup', 'pointercancel']) {
+            element.addEventListener(type, (event) => this.pointers.delete(event.pointerId));
+        }
+        element.addEventListener('wheel', (event) => {
+            if (!this.getTarget()) return;
+            event.preventDefault();
+            this.zoomBy(Math.exp(-event.deltaY * WHEEL_SENSITIVITY));
+        }, { passive: false });
+        element.addEventListener('dblclick', () => {
+            const target = this.getTarget();
+            if (!target) return;
+            applyCameraView(target, {});
+            this.onChange();
+        });
+        // Le clic droit sert au décalage
+        element.addEventListener('contextmenu', (event) => {
+            if (this.getTarget()) event.preventDefault();
+        });
+    }
+
+    onPointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        const target = this.getTarget();
+        if (!previous || !target) return;
+
+        const current = { x: event.clientX, y: event.clientY };
+        const params = target.getParams();
+        const values = {};
+        if (this.pointers.size >= 2) {
+            // Pincement : écart et milieu des deux premiers doigts, avant et après
+            const [first, second] = [...this.pointers.keys()];
+            const before = [this.pointers.get(first), this.pointers.get(second)];
+            this.pointers.set(event.pointerId, current);
+            const after = [this.pointers.get(first), this.pointers.get(second)];
+            const spread = points => Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            const middle = (points, axis) => (points[0][axis] + points[1][axis]) / 2;
+            if (spread(before) > 0) {
+                values['camera.zoom'] = params['camera.zoom'] * spread(after) / spread(before);
+            }
+            values['camera.panX'] = params['camera.panX'] + (middle(after, 'x') - middle(before, 'x')) * this.getScale();
+            values['camera.panY'] = params['camera.panY'] + (middle(after, 'y') - middle(before, 'y')) * this.getScale();
+        } else {
+            this.pointers.set(event.pointerId, current);
+            const dx = current.x - previous.x;
+            const dy = current.y - previous.y;
+            if (this.panning) {
+                values['camera.panX'] = params['camera.panX'] + dx * this.getScale();
+                values['camera.panY'] = params['camera.panY'] + dy * this.getScale();
+            } else {
+                // Lacet ramené dans [-180, 180] pour tourner indéfiniment
+                const yaw = params['camera.yaw'] - dx * ORBIT_SENSITIVITY;
+                values['camera.yaw'] = ((yaw % 360) + 540) % 360 - 180;
+                values['camera.pitch'] = params['camera.pitch'] + dy * ORBIT_SENSITIVITY;
+            }
+        }
+        target.setParams(values);
+        this.onChange();
+    }
+
+    zoomBy(factor) {
+        const target = this.getTarget();
+        target.setParams({ 'camera.zoom': target.getParams()['camera.zoom'] * factor });
+        this.onChange();
+    }
+}
@@ -0,0 +1,330 @@
+import { AudioSystem } from './audioSystem.js';
+import { SceneManager } from './sceneManager.js';
+import { Recorder } from './recorder.js';
+import { Background } from './background.js';
+import { Automation } from './automation.js';
+import { CameraControls } from './camera.js';
+import { PlaybackLoop, handlePlaybackEnd } from './playbackLoop.js';
+import { hasVisualizer, listVisualizers } from './visualizerRegistry.js';
+
+// Visualiseur intégrable dans une autre page, sans l'interface de l'application
+// (index.html) : chaque instance a son propre contexte audio, son canvas, qui
+// suit la taille de son conteneur, et sa boucle d'animation. Les réglages
+// s'appliquent au format des préréglages (voir App.getSettings()).
+// Événements : 'ready' (fichier chargé, detail { duration }), 'play', 'pause',
+// 'ended', 'beat' (detail { time, bpm, phase }) et 'recordingcomplete'
+// (detail { blob, fileName }, rien n'est téléchargé).
+export class ClaimViz extends EventTarget {
+    // options : scene, seed, renderer, crossfade (s), pixelRatio, settings
+    // (préréglage), cameraControls (gestes de caméra sur le canvas, désactivés
+    // par défaut : la molette ne fait alors plus défiler la page)
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.crossfade = options.crossfade ?? 1;
+        this.pixelRatio = options.pixelRatio || window.devicePixelRatio || 1;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.display = 'block';
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+        container.appendChild(this.canvas);
+
+        this.audioSystem = new AudioSystem();
+        this.scenes = new SceneManager(this.canvas, { seed: options.seed, renderer: options.renderer });
+        this.background = new Background();
+        this.automation = new Automation();
+        this.recorder = new Recorder(this.canvas, this.audioSystem, {
+            onComplete: (blob, fileName) => {
+                this.dispatchEvent(new CustomEvent('recordingcomplete', { detail: { blob, fileName } }));
+            }
+        });
+        this.isPlaying = false;
+        this.isRecording = false;
+        this.loop = new PlaybackLoop((dt, firstFrame) => this.animate(dt, firstFrame));
+
+        this.resize();
+        this.scenes.setScene(hasVisualizer(options.scene) ? options.scene : listVisualizers()[0].id);
+        // Résolue par true une fois les réglages initiaux appliqués, false s'ils
+        // n'ont pas pu l'être
+        this.initialized = options.settings
+            ? this.applySettings(options.settings).then(() => true, (error) => {
+                console.error('Erreur lors de l\'application des réglages:', error);
+                return false;
+            })
+            : Promise.resolve(true);
+
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(container);
+
+        if (options.cameraControls) {
+            this.canvas.style.touchAction = 'none';
+            this.cameraControls = new CameraControls(this.canvas, {
+                getTarget: () => (this.scenes.visualizer.cameraRig ? this.scenes.visualizer : null),
+                getScale: () => this.pixelRatio,
+                onChange: () => {
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            });
+        }
+
+        handlePlaybackEnd(this.audioSystem, this, () => {
+            this.drawFrame();
+            this.dispatchEvent(new Event('ended'));
+        });
+    }
+
+    resize() {
+        const width = Math.max(1, Math.round(this.container.clientWidth * this.pixelRatio));
+        const height = Math.max(1, Math.round(this.container.clientHeight * this.pixelRatio));
+        if (this.canvas.width === width && this.canvas.height === height) return;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.scenes.resize(width, height);
+        this.drawFrame();
+    }
+
+    // src : File, Blob ou URL d'un fichier audio ; renvoie false si illisible
+    async load(src) {
+        let file = src;
+        if (typeof src === 'string') {
+            try {
+                const response = await fetch(src);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                file = await response.blob();
+            } catch (error) {
+                console.error('Erreur lors du téléchargement de l\'audio:', error);
+                return false;
+            }
+        }
+
+        this.pause();
+        if (!await this.audioSystem.loadAudio(file)) return false;
+        this.scenes.reset();
+        this.drawFrame();
+        this.dispatchEvent(new CustomEvent('ready', { detail: { duration: this.getDuration() } }));
+        return true;
+    }
+
+    play() {
+        if (this.isPlaying) return true;
+        if (!this.audioSystem.play()) return false;
+        this.isPlaying = true;
+        this.loop.start();
+        this.dispatchEvent(new Event('play'));
+        return true;
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        this.audioSystem.pause();
+        this.isPlaying = false;
+        this.loop.stop();
+        if (this.isRecording) this.stopRecording();
+        this.dispatchEvent(new Event('pause'));
+    }
+
+    seek(seconds) {
+        this.audioSystem.seek(seconds);
+        this.automation.apply(this.scenes, this.getCurrentTime(), { jump: true });
+        if (!this.isPlaying) this.drawFrame();
+    }
+
+    getCurrentTime() {
+        return this.audioSystem.getCurrentTime();
+    }
+
+    getDuration() {
+        return this.audioSystem.getDuration();
+    }
+
+    setScene(id, { crossfade = this.crossfade, params, modulation } = {}) {
+        if (!hasVisualizer(id)) {
+            console.error('Scène inconnue:', id);
+            return false;
+        }
+        this.scenes.setScene(id, { crossfade: this.isPlaying ? crossfade : 0, params, modulation });
+        if (!this.isPlaying) this.drawFrame();
+        return true;
+    }
+
+    // Réglages de la scène courante
+    setParams(params) {
+        this.scenes.visualizer.setParams(params);
+        if (!this.isPlaying) this.drawFrame();
+    }
+
+    // Préréglage exporté depuis l'application
+    async applySettings(settings) {
+        if (settings.audio) await this.audioSystem.setParams(settings.audio);
+        if (settings.normalization === 'adaptive' || settings.normalization === 'absolute') {
+            this.audioSystem.setNormalizationMode(settings.normalization);
+        }
+        if (hasVisualizer(settings.scene) && settings.scene !== this.scenes.sceneId) {
+            this.scenes.setScene(settings.scene, { params: settings.params, modulation: settings.modulation });
+        } else {
+            this.scenes.visualizer.setParams(settings.params || {});
+            this.scenes.modulation.setRoutes(settings.modulation);
+        }
+        if (settings.effects) this.scenes.effects.setParams(settings.effects);
+        if (settings.background) this.background.setParams(settings.background);
+        this.automation.setData(settings.automation);
+        if (!this.isPlaying) this.drawFrame();
+    }
+
+    // Enregistre la lecture depuis la position courante, jusqu'à stopRecording(),
+    // pause() ou la fin de la piste ; options : mimeType, videoBitsPerSecond, frameRate
+    async startRecording(options = {}) {
+        if (this.isRecording || !this.audioSystem.hasSource()) return false;
+        this.recorder.configure(options);
+        // L'enregistrement démarre avant la lecture pour garder l'audio et la
+        // vidéo synchronisés dès la première image
+        if (!await this.recorder.startRecording()) return false;
+        this.isRecording = true;
+        if (!this.play()) {
+            await this.stopRecording();
+            return false;
+        }
+        return true;
+    }
+
+    async stopRecording() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        await this.recorder.stopRecording();
+    }
+
+    drawFrame() {
+        this.scenes.draw();
+        this.background.drawBehind(this.canvas.getContext('2d'));
+    }
+
+    // Une image de la boucle de lecture (voir playbackLoop.js)
+    animate(dt, firstFrame) {
+        const analysis = this.audioSystem.analyze();
+        this.automation.apply(this.scenes, analysis.time, { jump: firstFrame });
+        this.scenes.update(analysis, dt);
+        this.drawFrame();
+
+        if (analysis.beat.isBeat) {
+            const { bpm, phase } = analysis.beat;
+            this.dispatchEvent(new CustomEvent('beat', { detail: { time: analysis.time, bpm, phase } }));
+        }
+    }
+
+    // Libère le contexte audio et retire le canvas
+    destroy() {
+        this.pause();
+        this.audioSystem.releaseSource();
+        this.resizeObserver.disconnect();
+        this.scenes.dispose();
+        this.audioSystem.audioContext.close().catch(error => {
+            console.error('Erreur lors de la fermeture du contexte audio:', error);
+        });
+        this.canvas.remove();
+    }
+}
+
+export function createClaimViz(container, options) {
+    return new ClaimViz(container, options);
+}
+
+const FORWARDED_EVENTS = ['ready', 'play', 'pause', 'ended', 'beat', 'recordingcomplete'];
+
+// <claim-viz src="morceau.mp3" scene="spectrumRing" seed="1" autoplay camera-controls>
+// Mêmes méthodes et événements que ClaimViz ; l'instance est créée à
+// l'insertion dans la page et libérée au retrait.
+export class ClaimVizElement extends HTMLElement {
+    static observedAttributes = ['src', 'scene'];
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = '<style>:host { display: block; position: relative; min-height: 150px; } div { position: absolute; inset: 0; }</style><div></div>';
+        this.wrapper = root.querySelector('div');
+        this.viz = null;
+    }
+
+    connectedCallback() {
+        if (this.viz) return;
+        const seed = this.getAttribute('seed');
+        this.viz = createClaimViz(this.wrapper, {
+            scene: this.getAttribute('scene'),
+            seed: seed === null ? undefined : Number(seed),
+            cameraControls: this.hasAttribute('camera-controls')
+        });
+        for (const type of FORWARDED_EVENTS) {
+            this.viz.addEventListener(type, (event) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+            });
+        }
+        if (this.hasAttribute('src')) this.loadSource();
+    }
+
+    disconnectedCallback() {
+        if (!this.viz) return;
+        this.viz.destroy();
+        this.viz = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.viz || oldValue === value) return;
+        if (name === 'src' && value) this.loadSource();
+        if (name === 'scene') this.viz.setScene(value);
+    }
+
+    async loadSource() {
+        // Lecture automatique soumise à la politique d'autoplay du navigateur
+        if (await this.viz.load(this.getAttribute('src')) && this.hasAttribute('autoplay')) {
+            this.viz.play();
+        }
+    }
+
+    load(src) {
+        return this.viz.load(src);
+    }
+
+    play() {
+        return this.viz.play();
+    }
+
+    pause() {
+        this.viz.pause();
+    }
+
+    seek(seconds) {
+        this.viz.seek(seconds);
+    }
+
+    setScene(id, options) {
+        return this.viz.setScene(id, options);
+    }
+
+    setParams(params) {
+        this.viz.setParams(params);
+    }
+
+    applySettings(settings) {
+        return this.viz.applySettings(settings);
+    }
+
+    startRecording(options) {
+        return this.viz.startRecording(options);
+    }
+
+    stopRecording() {
+        return this.viz.stopRecording();
+    }
+
+    get currentTime() {
+        return this.viz ? this.viz.getCurrentTime() : 0;
+    }
+
+    get duration() {
+        return this.viz ? this.viz.getDuration() : 0;
+    }
+}
+
+if (!customElements.get('claim-viz')) {
+    customElements.define('claim-viz', ClaimVizElement);
+}
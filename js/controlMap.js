@@ -0,0 +1,172 @@
+import { sanitizeParams, optionValue } from './params.js';
+
+// Liaisons entre les contrôles matériels (MIDI, OSC) et l'application.
+// Une liaison : { input, label, target, min, max } ; input identifie le
+// contrôle ('cc:1:7', 'note:10:36', 'osc:/1/fader1', null en attente
+// d'apprentissage) et target la cible :
+// - 'param:<clé>' : réglage de la scène courante,
+// - 'effect:<clé>' : réglage des effets,
+// - 'scene:<id>' : changement de scène,
+// - 'action:<nom>' : transport (voir CONTROL_ACTIONS).
+// Un réglage suit la position du contrôle, ramenée entre min et max (fractions
+// de sa plage) ; une scène ou une action se déclenche à l'appui, quand le
+// contrôle passe au-dessus de la moitié de sa course.
+// Propres à la machine : enregistrées dans le localStorage, pas dans les préréglages.
+const STORAGE_KEY = 'claimviz.controls';
+
+export const CONTROL_ACTIONS = [
+    { value: 'action:play', label: 'Play / Pause' },
+    { value: 'action:record', label: 'Play & Record' },
+    { value: 'action:nextScene', label: 'Scène suivante' },
+    { value: 'action:previousScene', label: 'Scène précédente' }
+];
+
+export const BINDING_PARAMS = [
+    { key: 'min', label: 'Minimum', min: 0, max: 1, step: 0.01, default: 0 },
+    { key: 'max', label: 'Maximum', min: 0, max: 1, step: 0.01, default: 1 }
+];
+
+// Réglages généraux : adresse du pont OSC, synchronisation sur l'horloge MIDI
+export const CONTROL_PARAMS = [
+    { key: 'clockSync', label: 'Tempo de l\'horloge MIDI', type: 'toggle', default: true },
+    { key: 'oscUrl', label: 'Pont OSC', type: 'text', default: 'ws://localhost:8001' }
+];
+
+// Valeur d'un réglage pour une position de contrôle dans [0, 1], arrondie au pas
+export function getControlValue(param, value) {
+    if (param.type === 'toggle') return value >= 0.5;
+    if (param.type === 'select') {
+        const index = Math.min(param.options.length - 1, Math.floor(value * param.options.length));
+        return optionValue(param.options[index]);
+    }
+    const steps = Math.round(value * (param.max - param.min) / param.step);
+    return Math.min(param.max, parseFloat((param.min + steps * param.step).toFixed(6)));
+}
+
+export class ControlMap {
+    // onApply(target, value, pressed) : value dans [0, 1] après min / max,
+    // pressed vrai au moment de l'appui ; onLearn() : contrôle appris
+    constructor({ onApply, onLearn }) {
+        this.onApply = onApply;
+        this.onLearn = onLearn;
+        this.bindings = [];
+        this.pressed = [];
+        this.learning = null; // index de la liaison en attente d'un contrôle
+        this.midiEnabled = false;
+        this.oscEnabled = false;
+        for (const param of CONTROL_PARAMS) {
+            this[param.key] = param.default;
+        }
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Liaisons de contrôle illisibles, ignorées:', error);
+            data = {};
+        }
+        Object.assign(this, sanitizeParams(CONTROL_PARAMS, data));
+        this.midiEnabled = data.midiEnabled === true;
+        this.oscEnabled = data.oscEnabled === true;
+        this.bindings = (Array.isArray(data.bindings) ? data.bindings : [])
+            .filter(binding => binding && typeof binding.target === 'string')
+            .map(binding => this.createBinding(binding));
+        this.pressed = this.bindings.map(() => false);
+    }
+
+    save() {
+        const data = {
+            bindings: this.bindings,
+            midiEnabled: this.midiEnabled,
+            oscEnabled: this.oscEnabled
+        };
+        for (const param of CONTROL_PARAMS) {
+            data[param.key] = this[param.key];
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }
+
+    createBinding({ input = null, label = '', target, ...values }) {
+        const binding = {
+            input: typeof input === 'string' ? input : null,
+            label: typeof label === 'string' ? label : '',
+            target
+        };
+        for (const param of BINDING_PARAMS) {
+            binding[param.key] = param.default;
+        }
+        return { ...binding, ...sanitizeParams(BINDING_PARAMS, values) };
+    }
+
+    getParams() {
+        const values = {};
+        for (const param of CONTROL_PARAMS) {
+            values[param.key] = this[param.key];
+        }
+        return values;
+    }
+
+    setParam(key, value) {
+        Object.assign(this, sanitizeParams(CONTROL_PARAMS, { [key]: value }));
+        this.save();
+    }
+
+    setEnabled(kind, enabled) {
+        this[kind === 'midi' ? 'midiEnabled' : 'oscEnabled'] = enabled;
+        this.save();
+    }
+
+    // Nouvelle liaison, aussitôt en attente du contrôle à lui associer
+    addBinding(target) {
+        this.bindings.push(this.createBinding({ target }));
+        this.pressed.push(false);
+        this.learning = this.bindings.length - 1;
+        this.save();
+    }
+
+    removeBinding(index) {
+        this.bindings.splice(index, 1);
+        this.pressed.splice(index, 1);
+        if (this.learning === index) this.learning = null;
+        else if (this.learning > index) this.learning--;
+        this.save();
+    }
+
+    updateBinding(index, key, value) {
+        const binding = this.bindings[index];
+        if (!binding) return;
+        if (key === 'target') binding.target = value;
+        else Object.assign(binding, sanitizeParams(BINDING_PARAMS, { [key]: value }));
+        this.save();
+    }
+
+    // index null : annule l'apprentissage en cours
+    learn(index) {
+        this.learning = index;
+    }
+
+    // Message d'une entrée MIDI ou OSC : { input, value, label }
+    handle({ input, value, label }) {
+        if (this.learning !== null) {
+            const binding = this.bindings[this.learning];
+            this.learning = null;
+            if (binding) {
+                binding.input = input;
+                binding.label = label;
+                this.save();
+            }
+            this.onLearn();
+            return;
+        }
+
+        this.bindings.forEach((binding, index) => {
+            if (binding.input !== input) return;
+            const wasPressed = this.pressed[index];
+            this.pressed[index] = value >= 0.5;
+            this.onApply(binding.target, binding.min + value * (binding.max - binding.min), this.pressed[index] && !wasPressed);
+        });
+    }
+}
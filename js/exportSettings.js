@@ -0,0 +1,36 @@
+// Réglages d'export : résolution indépendante de la fenêtre et formats
+// d'enregistrement réellement pris en charge par le MediaRecorder du navigateur
+export const EXPORT_RESOLUTIONS = [
+    { value: 'window', label: 'Taille de la fenêtre' },
+    { value: '1920x1080', label: '1080p (1920×1080)' },
+    { value: '3840x2160', label: '4K (3840×2160)' },
+    { value: '1080x1920', label: 'Vertical (1080×1920)' },
+    { value: '1080x1080', label: 'Carré (1080×1080)' }
+];
+
+export const EXPORT_BITRATES = [4000000, 8000000, 16000000, 32000000, 50000000];
+
+// Par ordre de préférence ; H.264 High pour les résolutions jusqu'à la 4K
+const RECORDING_FORMATS = [
+    { mimeType: 'video/mp4;codecs=avc1.640033,mp4a.40.2', extension: 'mp4', label: 'MP4 (H.264 High / AAC)' },
+    { mimeType: 'video/mp4;codecs=avc1.42E01E,mp4a.40.2', extension: 'mp4', label: 'MP4 (H.264 Baseline / AAC)' },
+    { mimeType: 'video/webm;codecs=vp9,opus', extension: 'webm', label: 'WebM (VP9 / Opus)' },
+    { mimeType: 'video/webm;codecs=vp8,opus', extension: 'webm', label: 'WebM (VP8 / Opus)' },
+    { mimeType: 'video/webm', extension: 'webm', label: 'WebM' }
+];
+
+export function getSupportedRecordingFormats() {
+    if (typeof MediaRecorder === 'undefined') return [];
+    return RECORDING_FORMATS.filter(format => MediaRecorder.isTypeSupported(format.mimeType));
+}
+
+// Extension d'après le type MIME effectivement produit par le MediaRecorder
+export function getExtension(mimeType) {
+    return mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+}
+
+// null pour 'window' (suivre la taille de la fenêtre)
+export function parseResolution(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value);
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
@@ -0,0 +1,58 @@
+// FFT radix-2 en place (Cooley-Tukey itérative), taille puissance de 2
+export function fft(real, imag) {
+    const n = real.length;
+
+    // Permutation par inversion de bits
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            let temp = real[i];
+            real[i] = real[j];
+            real[j] = temp;
+            temp = imag[i];
+            imag[i] = imag[j];
+            imag[j] = temp;
+        }
+    }
+
+    // Papillons
+    for (let size = 2; size <= n; size <<= 1) {
+        const halfSize = size >> 1;
+        const angle = -2 * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < halfSize; k++) {
+                const even = start + k;
+                const odd = even + halfSize;
+                const tReal = wReal * real[odd] - wImag * imag[odd];
+                const tImag = wReal * imag[odd] + wImag * real[odd];
+                real[odd] = real[even] - tReal;
+                imag[odd] = imag[even] - tImag;
+                real[even] += tReal;
+                imag[even] += tImag;
+
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+}
+
+// Fenêtre de Blackman utilisée par l'AnalyserNode de la Web Audio API
+export function blackmanWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        const x = i / size;
+        window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+    return window;
+}
@@ -0,0 +1,96 @@
+import { AudioAnalyzer } from './audioAnalyzer.js';
+import { OfflineAnalyser } from './offlineAnalyser.js';
+import { LoudnessNormalizer } from './loudnessNormalizer.js';
+import { SceneManager } from './sceneManager.js';
+import { Automation } from './automation.js';
+import { applyAnalysisData } from './analysisData.js';
+
+// Images d'un morceau décodé, calculées à un instant donné plutôt qu'au fil de
+// la lecture : analyse du spectre à l'instant exact de l'image, scène avec une
+// graine fixe, arrière-plan et habillage. Commun au rendu hors ligne du
+// navigateur (offlineRenderer.js) et au rendu en ligne de commande (render.mjs),
+// qui suivent ainsi la même animation. Les images ne sont pas identiques pour
+// autant : la ligne de commande dessine les particules en Canvas 2D (WebGL2
+// dans le navigateur) et les canvas de Node ignorent ctx.filter (bloom sans
+// flou ni seuil).
+export class FrameRenderer {
+    // stems : [{ name, buffer, normalizer }] ; normalizer : copie de celui de
+    // la lecture (mode et profil du fichier) ; analysisData : analyse importée
+    // qui remplace les bandes mesurées
+    constructor(audioBuffer, {
+        width, height, sceneId, params, modulation, automation, renderer, effects,
+        background = null, overlay = null, lyrics = null, analysisData = null, seed = 1,
+        analyserOptions = {}, normalizer = new LoudnessNormalizer(), stems = []
+    }) {
+        this.duration = audioBuffer.duration;
+        this.width = width;
+        this.height = height;
+        this.background = background;
+        this.overlay = overlay;
+        this.lyrics = lyrics;
+        this.analysisData = analysisData;
+
+        // Scène dédiée, hors écran ; les repères de l'automation choisissent
+        // la scène de départ s'il y en a
+        this.sceneCanvas = new OffscreenCanvas(width, height);
+        this.scenes = new SceneManager(this.sceneCanvas, { seed, renderer, effects });
+        this.timeline = new Automation(automation);
+        this.timeline.apply(this.scenes, 0, { jump: true });
+        this.scenes.setScene(this.scenes.sceneId || sceneId, { params, modulation });
+        this.canvas = new OffscreenCanvas(width, height);
+        this.ctx = this.canvas.getContext('2d', { alpha: false });
+
+        this.analyser = new OfflineAnalyser(audioBuffer, analyserOptions);
+        this.analyzer = new AudioAnalyzer(audioBuffer.sampleRate);
+        this.normalizer = normalizer;
+        this.stems = stems.map(stem => ({
+            name: stem.name,
+            analyser: new OfflineAnalyser(stem.buffer, analyserOptions),
+            analyzer: new AudioAnalyzer(stem.buffer.sampleRate),
+            normalizer: stem.normalizer
+        }));
+        if (lyrics) lyrics.reset();
+    }
+
+    analyze(time) {
+        const dataArray = this.analyser.analyseAt(time);
+        const analysis = this.normalizer.apply(this.analyzer.analyze(dataArray, this.analyser.getWaveform(), time));
+        if (this.analysisData) applyAnalysisData(analysis, this.analysisData, time);
+        if (this.stems.length) {
+            analysis.stems = {};
+            for (const stem of this.stems) {
+                const stemData = stem.analyser.analyseAt(time);
+                analysis.stems[stem.name] = stem.normalizer.apply(stem.analyzer.analyze(stemData, stem.analyser.getWaveform(), time));
+            }
+        }
+        return analysis;
+    }
+
+    // Image à l'instant time (secondes) ; dt : durée d'une image. Les images
+    // se calculent dans l'ordre, la simulation avançant de l'une à l'autre.
+    async render(time, dt) {
+        this.timeline.apply(this.scenes, time);
+        const analysis = this.analyze(time);
+        this.scenes.update(analysis, dt);
+        this.scenes.draw();
+        if (this.lyrics) this.lyrics.update(analysis);
+
+        // Arrière-plan opaque (noir par défaut) sous la scène
+        const ctx = this.ctx;
+        if (this.background) {
+            await this.background.seek(time);
+            this.background.draw(ctx);
+        } else {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+        ctx.drawImage(this.sceneCanvas, 0, 0);
+        if (this.overlay) this.overlay.draw(ctx, time, this.duration);
+        if (this.lyrics) this.lyrics.draw(ctx, time);
+        return this.canvas;
+    }
+
+    dispose() {
+        this.scenes.dispose();
+    }
+}
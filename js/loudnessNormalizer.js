@@ -0,0 +1,134 @@
+import { FREQUENCY_BANDS, getBandIntensity } from './audioAnalyzer.js';
+import { OfflineAnalyser } from './offlineAnalyser.js';
+
+// Calibrage et normalisation des intensités par bande (section 9 du guide).
+// En mode 'adaptive', chaque bande est ramenée dans [0, 1] :
+// - avec un profil de fichier (pré-analyse), entre ses percentiles bas et haut ;
+// - sinon, entre un creux et un pic suivis en continu, qui reviennent lentement
+//   vers la valeur courante, avec une phase de calibrage progressive au départ.
+// En mode 'absolute', les intensités brutes sont conservées.
+const PROFILE_FPS = 30;
+const PROFILE_LOW_PERCENTILE = 0.1;
+const PROFILE_HIGH_PERCENTILE = 0.98;
+
+export class LoudnessNormalizer {
+    constructor(options = {}) {
+        this.mode = options.mode || 'adaptive';
+        this.calibrationDuration = options.calibrationDuration ?? 2; // secondes
+        this.adaptationTime = options.adaptationTime ?? 8; // constante de temps du suivi (s)
+        this.minRange = options.minRange ?? 0.05;
+        this.profile = options.profile || null;
+        this.reset();
+    }
+
+    reset() {
+        this.levels = {};
+        for (const name of Object.keys(FREQUENCY_BANDS)) {
+            this.levels[name] = { peak: null, valley: null };
+        }
+        this.startTime = null;
+        this.lastTime = null;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+        this.reset();
+    }
+
+    // Copie des réglages et du profil (pour un rendu hors ligne identique)
+    clone() {
+        return new LoudnessNormalizer({
+            mode: this.mode,
+            calibrationDuration: this.calibrationDuration,
+            adaptationTime: this.adaptationTime,
+            minRange: this.minRange,
+            profile: this.profile
+        });
+    }
+
+    normalizeTracked(name, value, dt, calibration) {
+        const level = this.levels[name];
+        if (level.peak === null) {
+            level.peak = value;
+            level.valley = value;
+        }
+
+        // Montée instantanée, retour progressif vers la valeur courante
+        const rate = 1 - Math.exp(-dt / this.adaptationTime);
+        level.peak = value > level.peak ? value : level.peak - (level.peak - value) * rate;
+        level.valley = value < level.valley ? value : level.valley + (value - level.valley) * rate;
+
+        const range = Math.max(level.peak - level.valley, this.minRange);
+        const normalized = (value - level.valley) / range;
+
+        // Pendant le calibrage, passage progressif de la valeur brute à la valeur normalisée
+        return value + (normalized - value) * calibration;
+    }
+
+    // Remplace les intensités de l'analyse par leur version normalisée
+    // (la valeur d'origine reste disponible dans bands[name].raw)
+    apply(analysis) {
+        const time = analysis.time;
+        if (this.lastTime === null || time < this.lastTime) {
+            this.startTime = time;
+        }
+        const dt = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+
+        const calibration = this.calibrationDuration > 0
+            ? Math.min(1, (time - this.startTime) / this.calibrationDuration)
+            : 1;
+
+        let intensity = 0;
+        for (const [name, band] of Object.entries(analysis.bands)) {
+            band.raw = band.intensity;
+            if (this.mode === 'adaptive') {
+                let value;
+                if (this.profile && this.profile[name]) {
+                    const { low, high } = this.profile[name];
+                    value = (band.raw - low) / Math.max(high - low, this.minRange);
+                } else {
+                    value = this.normalizeTracked(name, band.raw, dt, calibration);
+                }
+                band.intensity = Math.max(0, Math.min(1, value));
+            }
+            intensity += band.intensity;
+        }
+        analysis.intensity = intensity / Object.keys(analysis.bands).length;
+        return analysis;
+    }
+}
+
+// Pré-analyse d'un fichier entier : percentiles bas et haut de chaque bande,
+// pour une normalisation stable sur toute la durée du morceau
+export async function computeLoudnessProfile(audioBuffer, analyserOptions = {}) {
+    const analyser = new OfflineAnalyser(audioBuffer, analyserOptions);
+    const frameCount = Math.ceil(audioBuffer.duration * PROFILE_FPS);
+    const values = {};
+    for (const name of Object.keys(FREQUENCY_BANDS)) {
+        values[name] = new Float32Array(frameCount);
+    }
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const spectrum = analyser.analyseAt(frame / PROFILE_FPS);
+        for (const [name, range] of Object.entries(FREQUENCY_BANDS)) {
+            values[name][frame] = getBandIntensity(spectrum, audioBuffer.sampleRate, range.start, range.end);
+        }
+        // Rendre la main au navigateur de temps en temps
+        if (frame % 500 === 499) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    const profile = {};
+    for (const [name, bandValues] of Object.entries(values)) {
+        const sorted = bandValues.sort();
+        const at = (percentile) => sorted[Math.min(sorted.length - 1, Math.floor(percentile * sorted.length))] || 0;
+        profile[name] = { low: at(PROFILE_LOW_PERCENTILE), high: at(PROFILE_HIGH_PERCENTILE) };
+    }
+    return profile;
+}
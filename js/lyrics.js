@@ -0,0 +1,302 @@
+import { getParamValue, setParamValue, sanitizeParams } from './params.js';
+import { FONTS } from './overlay.js';
+
+// Paroles synchronisées : import LRC (avec minutage mot à mot « <mm:ss.xx> »
+// de l'LRC étendu), SRT et WebVTT, affichage animé calé sur la position de
+// lecture et export en sous-titres à côté de la vidéo.
+// Une ligne : { start, end, text, words: [{ start, text }] } (words vide si
+// le fichier ne donne que le minutage des lignes)
+const LAST_LINE_DURATION = 5; // s, fin de la dernière ligne d'un LRC
+const FADE = 0.2; // s
+
+const POSITIONS = [
+    { value: 'bottom', label: 'En bas' },
+    { value: 'center', label: 'Au centre' },
+    { value: 'top', label: 'En haut' }
+];
+
+function parseTimestamp(value) {
+    // [hh:]mm:ss[.,]fff
+    const parts = value.trim().replace(',', '.').split(':').map(Number);
+    if (parts.some(Number.isNaN)) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Horodatage LRC : mm:ss.xx, parfois mm:ss:xx
+function parseLrcTimestamp(value) {
+    return parseTimestamp(value.replace(/^(\d+:\d+):(\d+)$/, '$1.$2'));
+}
+
+function formatTimestamp(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const secs = Math.floor(ms / 1000) % 60;
+    const pad = (value, length = 2) => value.toString().padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Mots d'une ligne LRC étendue : « <00:12.30>Mot <00:12.80>suivant »
+function parseLrcWords(text) {
+    const words = [];
+    const pattern = /<(\d+:\d+(?:[.:]\d+)?)>([^<]*)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const start = parseLrcTimestamp(match[1]);
+        if (start !== null && match[2].trim()) {
+            words.push({ start, text: match[2].trim() });
+        }
+    }
+    return words;
+}
+
+function parseLrc(text) {
+    const entries = [];
+    let offset = 0;
+    for (const row of text.split(/\r?\n/)) {
+        // Décalage global de l'en-tête, en millisecondes
+        const tag = /^\[offset:\s*([+-]?\d+)\]/i.exec(row);
+        if (tag) offset = parseInt(tag[1], 10) / 1000;
+
+        // Une ligne peut porter plusieurs horodatages (refrains)
+        const times = [];
+        let rest = row;
+        let match;
+        while ((match = /^\[(\d+:\d+(?:[.:]\d+)?)\]/.exec(rest))) {
+            times.push(parseLrcTimestamp(match[1]));
+            rest = rest.slice(match[0].length);
+        }
+        const words = parseLrcWords(rest);
+        const lineText = words.length ? words.map(word => word.text).join(' ') : rest.trim();
+        for (const time of times) {
+            entries.push({ start: time, text: lineText, words });
+        }
+    }
+
+    // Le décalage LRC avance les paroles ; une ligne vide marque un silence
+    entries.sort((a, b) => a.start - b.start);
+    const lines = [];
+    entries.forEach((entry, index) => {
+        const next = entries[index + 1];
+        if (!entry.text) return;
+        lines.push({
+            start: entry.start - offset,
+            end: (next ? next.start : entry.start + LAST_LINE_DURATION) - offset,
+            text: entry.text,
+            words: entry.words.map(word => ({ start: word.start - offset, text: word.text }))
+        });
+    });
+    return lines;
+}
+
+// SRT et WebVTT : blocs séparés par une ligne vide, « début --> fin » puis le texte
+function parseSubtitles(text) {
+    const lines = [];
+    for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+        const rows = block.split('\n');
+        const timing = rows.findIndex(row => row.includes('-->'));
+        if (timing < 0) continue;
+        const [startText, endText] = rows[timing].split('-->');
+        const start = parseTimestamp(startText);
+        // Réglages de position WebVTT après l'horodatage de fin
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        const content = rows.slice(timing + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+        if (start === null || end === null || !content) continue;
+        lines.push({ start, end, text: content, words: [] });
+    }
+    return lines.sort((a, b) => a.start - b.start);
+}
+
+export function parseLyrics(text) {
+    if (text.includes('-->')) return parseSubtitles(text);
+    return parseLrc(text);
+}
+
+export class Lyrics {
+    // Style des paroles, enregistré dans les préréglages
+    static params = [
+        { key: 'show', label: 'Afficher les paroles', type: 'toggle', default: true },
+        {
+            key: 'mode', label: 'Surlignage', type: 'select', default: 'word',
+            options: [{ value: 'line', label: 'Ligne' }, { value: 'word', label: 'Mot à mot' }]
+        },
+        { key: 'position', label: 'Position', type: 'select', options: POSITIONS, default: 'bottom' },
+        { key: 'font', label: 'Police', type: 'select', options: FONTS, default: 'Arial' },
+        { key: 'size', label: 'Taille (%)', min: 2, max: 15, step: 0.5, default: 6 },
+        { key: 'textColor', label: 'Couleur du texte', type: 'color', default: '#ffffff' },
+        { key: 'highlightColor', label: 'Couleur du surlignage', type: 'color', default: '#ffb300' },
+        { key: 'pulse', label: 'Réaction aux basses', min: 0, max: 1, step: 0.05, default: 0.3 },
+        { key: 'offset', label: 'Décalage (s)', min: -5, max: 5, step: 0.05, default: 0 },
+        { key: 'burnIn', label: 'Incruster dans la vidéo', type: 'toggle', default: true },
+        {
+            key: 'sidecar', label: 'Fichier de sous-titres', type: 'select', default: 'none',
+            options: [{ value: 'none', label: 'Aucun' }, { value: 'srt', label: 'SRT' }, { value: 'vtt', label: 'WebVTT' }]
+        }
+    ];
+
+    constructor(params) {
+        for (const param of Lyrics.params) {
+            setParamValue(this, param.key, param.default);
+        }
+        this.setParams(params);
+        this.lines = [];
+        this.energy = 0;
+    }
+
+    getParams() {
+        const values = {};
+        for (const param of Lyrics.params) {
+            values[param.key] = getParamValue(this, param.key);
+        }
+        return values;
+    }
+
+    setParam(key, value) {
+        setParamValue(this, key, value);
+    }
+
+    setParams(values) {
+        for (const [key, value] of Object.entries(sanitizeParams(Lyrics.params, values))) {
+            this.setParam(key, value);
+        }
+    }
+
+    setLines(lines) {
+        this.lines = lines;
+    }
+
+    clear() {
+        this.lines = [];
+    }
+
+    isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    reset() {
+        this.energy = 0;
+    }
+
+    // Index de la dernière ligne commencée avant time (recherche dichotomique)
+    indexAt(time) {
+        let low = 0;
+        let high = this.lines.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.lines[middle].start <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    }
+
+    // Basses lissées comme les niveaux d'énergie des scènes, relancées à chaque temps
+    update(analysis) {
+        const bass = analysis.bands.bass.intensity;
+        const target = analysis.beat && analysis.beat.isBeat ? Math.max(1, bass) : bass;
+        this.energy += (target - this.energy) * (target > this.energy ? 0.5 : 0.1);
+    }
+
+    // Part de la ligne déjà chantée, en nombre de caractères (mot à mot)
+    getSungLength(line, time) {
+        let words = line.words;
+        if (!words.length) {
+            // Sans minutage des mots : répartition selon leur longueur
+            const parts = line.text.split(' ');
+            const total = line.text.length || 1;
+            let position = 0;
+            words = parts.map(text => {
+                const word = { start: line.start + (line.end - line.start) * position / total, text };
+                position += text.length + 1;
+                return word;
+            });
+        }
+
+        let length = 0;
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            if (time < word.start) break;
+            const end = i + 1 < words.length ? words[i + 1].start : line.end;
+            const progress = Math.min(1, (time - word.start) / Math.max(0.05, end - word.start));
+            length += (i > 0 ? 1 : 0) + word.text.length * progress;
+            if (progress < 1) break;
+        }
+        return length;
+    }
+
+    // time : position de lecture en secondes ; width, height : zone de dessin
+    draw(ctx, time, width = ctx.canvas.width, height = ctx.canvas.height) {
+        if (!this.show || !this.lines.length) return;
+        time -= this.offset;
+        const index = this.indexAt(time);
+        const line = this.lines[index];
+        if (!line || time > line.end) return;
+
+        const unit = height / 100;
+        let size = this.size * unit;
+        ctx.save();
+        ctx.font = `bold ${size}px ${this.font}`;
+        // Lignes trop longues : réduites pour tenir dans 90 % de la largeur
+        const textWidth = ctx.measureText(line.text).width;
+        if (textWidth > width * 0.9) {
+            size *= width * 0.9 / textWidth;
+            ctx.font = `bold ${size}px ${this.font}`;
+        }
+        const lineWidth = Math.min(textWidth, width * 0.9);
+
+        let y;
+        if (this.position === 'top') y = 10 * unit + size / 2;
+        else if (this.position === 'center') y = height / 2;
+        else y = height - 12 * unit - size / 2;
+
+        const scale = 1 + this.pulse * 0.15 * Math.min(1, this.energy);
+        ctx.translate(width / 2, y);
+        ctx.scale(scale, scale);
+        ctx.globalAlpha = Math.max(0, Math.min(1, (time - line.start) / FADE, (line.end - time) / FADE));
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = unit;
+        const x = -lineWidth / 2;
+
+        if (this.mode === 'line') {
+            ctx.fillStyle = this.highlightColor;
+            ctx.fillText(line.text, x, 0);
+        } else {
+            // Balayage karaoké : le texte surligné est découpé à la partie chantée
+            ctx.fillStyle = this.textColor;
+            ctx.fillText(line.text, x, 0);
+            const sung = this.getSungLength(line, time);
+            const whole = Math.floor(sung);
+            let sungWidth = ctx.measureText(line.text.slice(0, whole)).width;
+            if (whole < line.text.length) {
+                sungWidth += ctx.measureText(line.text[whole]).width * (sung - whole);
+            }
+            ctx.beginPath();
+            ctx.rect(x, -size, sungWidth, size * 2);
+            ctx.clip();
+            ctx.fillStyle = this.highlightColor;
+            ctx.fillText(line.text, x, 0);
+        }
+
+        ctx.restore();
+    }
+
+    // Sous-titres SRT ou WebVTT ; start : position de la piste au début de la vidéo
+    toSubtitles(format, start = 0) {
+        const separator = format === 'vtt' ? '.' : ',';
+        const blocks = this.lines
+            .map(line => ({ ...line, start: line.start + this.offset - start, end: line.end + this.offset - start }))
+            .filter(line => line.end > 0)
+            .map((line, index) => {
+                const timing = `${formatTimestamp(line.start, separator)} --> ${formatTimestamp(line.end, separator)}`;
+                return format === 'vtt' ? `${timing}\n${line.text}` : `${index + 1}\n${timing}\n${line.text}`;
+            });
+        const body = blocks.join('\n\n') + '\n';
+        return format === 'vtt' ? `WEBVTT\n\n${body}` : body;
+    }
+}
@@ -1,145 +1,1707 @@
 import { AudioSystem } from './audioSystem.js';
-import { EnergyBallVisualizer } from './visualizer.js';
-import { Recorder } from './recorder.js';
+import { SceneManager } from './sceneManager.js';
+import { listVisualizers, getVisualizer, hasVisualizer } from './visualizerRegistry.js';
+import { Recorder, downloadBlob, timestampedFileName } from './recorder.js';
+import { OfflineRenderer } from './offlineRenderer.js';
+import { SettingsPanel } from './settingsPanel.js';
+import { MODULATION_SOURCES, MODULATION_STEMS, CURVE_PARAMS, getModulationTargets } from './modulation.js';
+import { Automation, EASINGS } from './automation.js';
+import { AutomationEditor } from './automationEditor.js';
+import { PARTICLE_RENDERERS } from './particleRenderer.js';
+import { PostProcessor } from './postProcessing.js';
+import { Background } from './background.js';
+import { getStemLabel } from './stems.js';
+import { extractPalette } from './palettes.js';
+import {
+    ANALYSIS_FORMATS, computeAnalysisData, analysisToCsv, analysisToJson, analysisToAfterEffects,
+    parseAnalysis, applyAnalysisData, getDefaultSmoothing
+} from './analysisData.js';
+import { Overlay } from './overlay.js';
+import { readMetadata } from './metadata.js';
+import { Lyrics, parseLyrics } from './lyrics.js';
+import { Playlist, collectAudioFiles } from './playlist.js';
+import { PlaylistPanel } from './playlistPanel.js';
+import { SHORTCUTS, matchShortcut, isEditable } from './shortcuts.js';
+import { MidiInput } from './midiInput.js';
+import { OscInput } from './oscInput.js';
+import { PlaybackLoop, handlePlaybackEnd } from './playbackLoop.js';
+import { CameraControls, getCameraView, applyCameraView, sanitizeCameraViews } from './camera.js';
+import {
+    ControlMap, CONTROL_ACTIONS, CONTROL_PARAMS, BINDING_PARAMS, getControlValue
+} from './controlMap.js';
+import {
+    EXPORT_RESOLUTIONS, EXPORT_BITRATES, getSupportedRecordingFormats, parseResolution
+} from './exportSettings.js';
+import {
+    loadPresets, savePreset, deletePreset, presetToBlob, readPresetFile,
+    encodePresetHash, decodePresetHash
+} from './presets.js';
+
+const CONTROLS_IDLE_DELAY = 3000; // ms avant que la barre de contrôle s'efface
+
+// Format m:ss pour l'affichage du temps
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${(total % 60).toString().padStart(2, '0')}`;
+}
 
 class App {
     constructor() {
         this.canvas = document.getElementById('visualizer');
+        this.ctx = this.canvas.getContext('2d');
+        // La scène est rendue hors écran à la résolution d'export, puis mise à
+        // l'échelle de la fenêtre pour l'aperçu
+        this.stage = document.createElement('canvas');
+        this.exportSize = null; // null : taille de la fenêtre
+        this.overlay = new Overlay();
+        this.lyrics = new Lyrics();
+        this.background = new Background();
+        this.analysisData = null; // analyse importée, à la place des bandes mesurées
+        this.cameraViews = []; // vues de caméra enregistrées (voir camera.js)
         this.audioSystem = new AudioSystem();
-        this.visualizer = new EnergyBallVisualizer(this.canvas);
-        this.recorder = new Recorder(this.canvas, this.audioSystem);
+        this.scenes = new SceneManager(this.stage);
+        this.recorder = new Recorder(this.stage, this.audioSystem, {
+            onSave: (fileName) => this.saveSubtitles(fileName, this.recordStart)
+        });
+        this.recordStart = 0;
+        this.offlineRenderer = new OfflineRenderer(this.audioSystem);
+        this.settingsPanel = new SettingsPanel(document.getElementById('settingsSections'));
+        this.automation = new Automation();
+        this.automationEditor = new AutomationEditor(
+            document.getElementById('automationList'),
+            document.getElementById('automationMarkers'),
+            {
+                onSeek: (time) => this.audioSystem.seek(time),
+                onChange: () => this.onAutomationChange()
+            }
+        );
+        this.playlist = new Playlist();
+        this.playlistPanel = new PlaylistPanel(document.getElementById('playlistItems'), {
+            onPlay: (index) => this.playPlaylistItem(index),
+            onRemove: (id) => this.removePlaylistItem(id),
+            onRetry: (id) => {
+                this.playlist.queue(id);
+                if (!this.isRendering) this.renderPlaylist();
+            }
+        });
+        this.midi = new MidiInput();
+        this.osc = new OscInput();
+        this.controls = new ControlMap({
+            onApply: (target, value, pressed) => this.applyControl(target, value, pressed),
+            onLearn: () => this.renderSettings()
+        });
+        this.settingsTimer = null;
+        this.idleTimer = null;
         this.isPlaying = false;
         this.isRecording = false;
-        this.animationId = null;
+        this.isRendering = false;
+        this.batchCancelled = false;
+        this.isScrubbing = false;
+        this.loop = new PlaybackLoop((dt, firstFrame, now) => this.animate(dt, firstFrame, now));
         
-        this.setupEventListeners();
         this.resizeCanvas();
+        this.scenes.setScene(listVisualizers()[0].id);
+        this.populateScenes();
+        this.setupEventListeners();
+        this.setupPresetControls();
+        this.setupAutomationControls();
+        this.setupExportControls();
+        this.setupOverlayControls();
+        this.setupBackgroundControls();
+        this.setupLyricsControls();
+        this.setupAnalysisControls();
+        this.setupPlaylistControls();
+        this.setupLiveControls();
+        this.setupPresentationControls();
+        this.setupCameraControls();
+        this.renderSettings();
+        this.automationEditor.render(this.automation);
+        
+        // Préréglage partagé par lien
+        const sharedPreset = decodePresetHash(window.location.hash);
+        if (sharedPreset) {
+            this.applyPreset(sharedPreset);
+        }
     }
 
     resizeCanvas() {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
+        
+        const { width, height } = this.exportSize || this.canvas;
+        if (this.stage.width !== width || this.stage.height !== height) {
+            this.stage.width = width;
+            this.stage.height = height;
+            this.scenes.resize(width, height);
+        }
+        this.drawFrame();
+    }
+
+    // Aperçu : la scène centrée dans la fenêtre, bandes noires si les
+    // proportions diffèrent
+    present() {
+        const { width, height } = this.canvas;
+        const scale = Math.min(width / this.stage.width, height / this.stage.height);
+        const drawWidth = this.stage.width * scale;
+        const drawHeight = this.stage.height * scale;
+        const x = (width - drawWidth) / 2;
+        const y = (height - drawHeight) / 2;
+        
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.drawImage(this.stage, x, y, drawWidth, drawHeight);
+
+        // Paroles non incrustées : seulement dans l'aperçu, à l'échelle de la scène
+        if (!this.lyrics.burnIn) {
+            this.ctx.save();
+            this.ctx.translate(x, y);
+            this.ctx.scale(scale, scale);
+            this.lyrics.draw(this.ctx, this.audioSystem.getCurrentTime(), this.stage.width, this.stage.height);
+            this.ctx.restore();
+        }
+    }
+
+    drawFrame() {
+        const stageCtx = this.stage.getContext('2d');
+        const time = this.audioSystem.getCurrentTime();
+        this.scenes.draw();
+        this.background.drawBehind(stageCtx);
+        // Habillage sur la scène : il apparaît dans l'aperçu et l'enregistrement
+        this.overlay.draw(stageCtx, time, this.audioSystem.getDuration());
+        if (this.lyrics.burnIn) this.lyrics.draw(stageCtx, time);
+        this.present();
+    }
+
+    setupBackgroundControls() {
+        const backgroundInput = document.getElementById('backgroundInput');
+        const paletteImageInput = document.getElementById('paletteImageInput');
+
+        backgroundInput.addEventListener('change', async () => {
+            const file = backgroundInput.files[0];
+            if (!file) return;
+            backgroundInput.value = '';
+            if (!await this.background.setMedia(file)) {
+                alert('Impossible de lire cette image ou cette vidéo.');
+                return;
+            }
+            this.renderSettings();
+            if (!this.isPlaying) this.drawFrame();
+        });
+
+        document.getElementById('backgroundRemoveBtn').addEventListener('click', () => {
+            this.background.clearMedia();
+            if (!this.isPlaying) this.drawFrame();
+        });
+
+        // Palette personnalisée de la scène courante, tirée d'une image
+        paletteImageInput.addEventListener('change', async () => {
+            const file = paletteImageInput.files[0];
+            if (!file) return;
+            paletteImageInput.value = '';
+            try {
+                const image = await createImageBitmap(file);
+                const colors = extractPalette(image);
+                image.close();
+                this.scenes.visualizer.setParam('palette', 'custom');
+                this.scenes.visualizer.setParam('customPalette', colors.join(', '));
+            } catch (error) {
+                console.error('Erreur lors de la lecture de l\'image:', error);
+                alert('Impossible de lire cette image.');
+                return;
+            }
+            this.renderSettings();
+            if (!this.isPlaying) this.drawFrame();
+        });
+    }
+
+    setupPresentationControls() {
+        const help = document.getElementById('shortcutHelp');
+        const list = document.getElementById('shortcutList');
+        for (const { keys, label } of SHORTCUTS) {
+            const term = document.createElement('dt');
+            term.textContent = keys;
+            const description = document.createElement('dd');
+            description.textContent = label;
+            list.append(term, description);
+        }
+
+        document.getElementById('helpBtn').addEventListener('click', () => {
+            help.hidden = !help.hidden;
+        });
+
+        const fullscreenBtn = document.getElementById('fullscreenBtn');
+        fullscreenBtn.hidden = !document.fullscreenEnabled;
+        fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+        document.addEventListener('fullscreenchange', () => {
+            fullscreenBtn.textContent = document.fullscreenElement ? 'Quitter le plein écran' : 'Plein écran';
+        });
+
+        document.addEventListener('keydown', (event) => {
+            // Touche maintenue : seuls les sauts se répètent
+            const isArrow = event.code === 'ArrowLeft' || event.code === 'ArrowRight';
+            if (event.repeat && !isArrow) return;
+            // Champs de saisie et boîte d'export ouverte : touches laissées au
+            // navigateur, comme les flèches des curseurs de réglage
+            if (isEditable(event.target) || document.querySelector('dialog[open]')) return;
+            if (isArrow && event.target.matches('input[type="range"]:not(#timeline)')) return;
+            const shortcut = matchShortcut(event);
+            if (!shortcut) return;
+            // Évite aussi qu'Espace ne clique en plus le bouton qui a le focus
+            event.preventDefault();
+            this.runShortcut(shortcut);
+        });
+
+        for (const type of ['mousemove', 'pointerdown', 'keydown', 'touchstart']) {
+            document.addEventListener(type, () => this.wakeControls(), { passive: true });
+        }
+        this.wakeControls();
+    }
+
+    // Les raccourcis passent par les boutons : mêmes états désactivés que
+    // ceux fixés par updateButtonStates()
+    runShortcut({ action, index, delta }) {
+        const click = (id) => {
+            const button = document.getElementById(id);
+            if (!button.disabled) button.click();
+        };
+        const help = document.getElementById('shortcutHelp');
+
+        switch (action) {
+            case 'play':
+                click('playBtn');
+                break;
+            case 'record':
+                click('playRecordBtn');
+                break;
+            case 'seek':
+                if (document.getElementById('timeline').disabled) break;
+                this.audioSystem.seek(this.audioSystem.getCurrentTime() + delta);
+                this.updateTransport();
+                break;
+            case 'scene': {
+                const scene = listVisualizers()[index];
+                if (scene && scene.id !== this.scenes.sceneId) this.switchScene(scene.id);
+                break;
+            }
+            case 'preset': {
+                const name = Object.keys(loadPresets()).sort()[index];
+                if (!name) break;
+                document.getElementById('presetSelect').value = name;
+                click('presetLoadBtn');
+                break;
+            }
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
+            case 'hideUi':
+                document.body.classList.toggle('ui-hidden');
+                break;
+            case 'help':
+                help.hidden = !help.hidden;
+                break;
+            case 'escape':
+                if (!help.hidden) help.hidden = true;
+                else document.body.classList.remove('ui-hidden');
+                break;
+        }
+    }
+
+    toggleFullscreen() {
+        if (!document.fullscreenEnabled) return;
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.error('Plein écran refusé:', error);
+            });
+        }
+    }
+
+    // Pendant la lecture, la barre de contrôle et le curseur s'effacent après
+    // quelques secondes sans souris ni clavier (sauf si la souris est dessus)
+    wakeControls() {
+        document.body.classList.remove('idle');
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (!this.isPlaying || document.querySelector('.controls').matches(':hover')) {
+                this.wakeControls();
+                return;
+            }
+            document.body.classList.add('idle');
+        }, CONTROLS_IDLE_DELAY);
+    }
+
+    // Orbite, zoom et décalage de la caméra à la souris ou au toucher, pour
+    // les scènes qui en ont une
+    setupCameraControls() {
+        this.cameraControls = new CameraControls(this.canvas, {
+            getTarget: () => (this.scenes.visualizer.cameraRig ? this.scenes.visualizer : null),
+            // L'aperçu est la scène mise à l'échelle de la fenêtre (voir present())
+            getScale: () => Math.max(this.stage.width / this.canvas.width, this.stage.height / this.canvas.height),
+            onChange: () => {
+                this.scheduleSettingsRender();
+                if (!this.isPlaying) this.drawFrame();
+            }
+        });
+    }
+
+    // Vues enregistrées, puis enregistrement de la vue courante
+    getCameraSections() {
+        const visualizer = this.scenes.visualizer;
+        if (!visualizer.cameraRig) return [];
+
+        const sections = this.cameraViews.map((view, index) => ({
+            title: `Vue ${index + 1}`,
+            schema: [{ key: 'name', label: 'Nom', type: 'text' }],
+            values: view,
+            onChange: (key, value) => {
+                view.name = value;
+            },
+            actions: [
+                {
+                    label: 'Aller à cette vue',
+                    onClick: () => {
+                        applyCameraView(this.scenes.visualizer, view);
+                        this.renderSettings();
+                        if (!this.isPlaying) this.drawFrame();
+                    }
+                },
+                {
+                    label: 'Retirer',
+                    onClick: () => {
+                        this.cameraViews.splice(index, 1);
+                        this.renderSettings();
+                    }
+                }
+            ]
+        }));
+
+        sections.push({
+            title: 'Vues de caméra',
+            schema: [],
+            values: {},
+            actions: [{
+                label: 'Enregistrer la vue actuelle',
+                onClick: () => {
+                    this.cameraViews.push(getCameraView(visualizer, `Vue ${this.cameraViews.length + 1}`));
+                    this.renderSettings();
+                }
+            }]
+        });
+        return sections;
+    }
+
+    setupLiveControls() {
+        const onControl = (event) => this.controls.handle(event.detail);
+        this.midi.addEventListener('control', onControl);
+        this.osc.addEventListener('control', onControl);
+
+        // Le panneau n'est reconstruit qu'à l'ouverture ou la perte de la
+        // connexion, pas à chaque nouvel essai
+        let oscOpen = false;
+        this.osc.addEventListener('status', () => {
+            if ((this.osc.status === 'open') === oscOpen) return;
+            oscOpen = !oscOpen;
+            this.renderSettings();
+        });
+
+        // Entrées activées lors de la session précédente
+        if (this.controls.midiEnabled) this.enableMidi({ silent: true });
+        if (this.controls.oscEnabled) this.osc.connect(this.controls.oscUrl);
+    }
+
+    async enableMidi({ silent = false } = {}) {
+        const success = MidiInput.isSupported() && await this.midi.enable();
+        if (!success && !silent) {
+            alert('MIDI indisponible : le navigateur ne le prend pas en charge ou l\'accès a été refusé.');
+        }
+        this.controls.setEnabled('midi', success);
+        this.renderSettings();
+    }
+
+    toggleOsc() {
+        if (this.osc.isEnabled()) {
+            this.osc.disconnect();
+        } else {
+            this.osc.connect(this.controls.oscUrl);
+        }
+        this.controls.setEnabled('osc', this.osc.isEnabled());
+        this.renderSettings();
+    }
+
+    // Contrôle MIDI ou OSC lié à target (voir controlMap.js) ; pressed : appui
+    applyControl(target, value, pressed) {
+        const separator = target.indexOf(':');
+        const kind = target.slice(0, separator);
+        const key = target.slice(separator + 1);
+
+        if (kind === 'param' || kind === 'effect') {
+            const object = kind === 'param' ? this.scenes.visualizer : this.scenes.effects;
+            const schema = kind === 'param' ? getVisualizer(this.scenes.sceneId).params : PostProcessor.params;
+            const param = schema.find(entry => entry.key === key);
+            if (!param) return;
+            object.setParam(key, getControlValue(param, value));
+            this.scheduleSettingsRender();
+            if (!this.isPlaying) this.drawFrame();
+        } else if (!pressed) {
+            return;
+        } else if (kind === 'scene') {
+            if (hasVisualizer(key)) this.switchScene(key);
+        } else if (key === 'nextScene' || key === 'previousScene') {
+            const scenes = listVisualizers();
+            const index = scenes.findIndex(scene => scene.id === this.scenes.sceneId);
+            const step = key === 'nextScene' ? 1 : scenes.length - 1;
+            this.switchScene(scenes[(index + step) % scenes.length].id);
+        } else if (key === 'play' || key === 'record') {
+            // Même effet qu'un clic, dans les mêmes conditions
+            const button = document.getElementById(key === 'play' ? 'playBtn' : 'playRecordBtn');
+            if (!button.disabled) button.click();
+        }
+    }
+
+    // Réglages changés depuis un contrôleur : le panneau suit, sans être
+    // reconstruit à chaque message
+    scheduleSettingsRender() {
+        if (this.settingsTimer) return;
+        this.settingsTimer = setTimeout(() => {
+            this.settingsTimer = null;
+            this.renderSettings();
+        }, 200);
+    }
+
+    setupLyricsControls() {
+        const lyricsInput = document.getElementById('lyricsInput');
+
+        lyricsInput.addEventListener('change', async () => {
+            const file = lyricsInput.files[0];
+            if (!file) return;
+            lyricsInput.value = '';
+            const lines = parseLyrics(await file.text());
+            if (!lines.length) {
+                alert('Aucune ligne horodatée trouvée dans ce fichier (LRC, SRT ou WebVTT attendu).');
+                return;
+            }
+            this.lyrics.setLines(lines);
+            this.updateLyricsInfo();
+            if (!this.isPlaying) this.drawFrame();
+        });
+
+        document.getElementById('lyricsRemoveBtn').addEventListener('click', () => {
+            this.lyrics.clear();
+            this.updateLyricsInfo();
+            if (!this.isPlaying) this.drawFrame();
+        });
+
+        this.updateLyricsInfo();
+    }
+
+    updateLyricsInfo() {
+        const count = this.lyrics.lines.length;
+        document.getElementById('lyricsInfo').textContent = count
+            ? `${count} ligne${count > 1 ? 's' : ''}`
+            : 'Aucune parole chargée.';
+    }
+
+    setupAnalysisControls() {
+        const formatSelect = document.getElementById('analysisFormat');
+        const exportBtn = document.getElementById('analysisExportBtn');
+        const analysisInput = document.getElementById('analysisInput');
+        for (const { value, label } of ANALYSIS_FORMATS) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            formatSelect.appendChild(option);
+        }
+
+        exportBtn.addEventListener('click', async () => {
+            const audioBuffer = this.audioSystem.audioBuffer;
+            if (!audioBuffer || exportBtn.disabled) {
+                if (!audioBuffer) alert('Chargez d\'abord un fichier audio à analyser.');
+                return;
+            }
+            // Lissage de la boule d'énergie : celui de la scène courante si c'en est une
+            const smoothing = document.getElementById('analysisSmoothing').checked
+                ? { ...(this.scenes.visualizer.smoothingFactors || getDefaultSmoothing()) }
+                : null;
+
+            exportBtn.disabled = true;
+            try {
+                const data = await computeAnalysisData(audioBuffer, {
+                    fps: this.getExportOptions().fps,
+                    analyserOptions: this.audioSystem.getAnalyserOptions(),
+                    normalizer: this.audioSystem.normalizer.clone(),
+                    smoothing,
+                    onProgress: (progress) => {
+                        exportBtn.textContent = `Analyse ${Math.floor(progress * 100)}%`;
+                    }
+                });
+                await this.saveAnalysis(data, formatSelect.value);
+            } catch (err) {
+                console.error('Erreur lors de l\'export de l\'analyse:', err);
+                alert(`L'analyse n'a pas pu être exportée : ${err.message}`);
+            } finally {
+                exportBtn.disabled = false;
+                exportBtn.textContent = 'Exporter';
+            }
+        });
+
+        analysisInput.addEventListener('change', async () => {
+            const file = analysisInput.files[0];
+            if (!file) return;
+            analysisInput.value = '';
+            try {
+                this.analysisData = parseAnalysis(await file.text());
+            } catch (err) {
+                console.error('Erreur lors de l\'import de l\'analyse:', err);
+                alert('Ce fichier n\'est pas une analyse exportée (JSON ou CSV attendu).');
+                return;
+            }
+            this.updateAnalysisInfo();
+        });
+
+        document.getElementById('analysisRemoveBtn').addEventListener('click', () => {
+            this.analysisData = null;
+            this.updateAnalysisInfo();
+        });
+
+        this.updateAnalysisInfo();
+    }
+
+    // Fichier au format choisi ; clés After Effects dans le presse-papiers
+    async saveAnalysis(data, format) {
+        const name = `${this.overlay.title || 'analyse'}_analyse`;
+        if (format === 'ae') {
+            const text = analysisToAfterEffects(data, this.stage);
+            try {
+                await navigator.clipboard.writeText(text);
+                alert('Clés copiées : collez-les sur un calque portant cinq effets « Paramètre glissière » (subBass, bass, lowMids, highMids, highs).');
+            } catch (err) {
+                // Presse-papiers refusé : le même texte en fichier
+                downloadBlob(new Blob([text], { type: 'text/plain' }), `${name}.txt`);
+            }
+        } else if (format === 'json') {
+            downloadBlob(new Blob([analysisToJson(data)], { type: 'application/json' }), `${name}.json`);
+        } else {
+            downloadBlob(new Blob([analysisToCsv(data)], { type: 'text/csv' }), `${name}.csv`);
+        }
+    }
+
+    updateAnalysisInfo() {
+        const data = this.analysisData;
+        document.getElementById('analysisInfo').textContent = data
+            ? `Analyse importée : ${formatTime(data.duration)} à ${data.fps} i/s${data.smoothed ? ', lissée' : ''}, à la place des bandes mesurées`
+            : 'Bandes mesurées sur l\'audio.';
+    }
+
+    // Balises du nouveau morceau ; les paroles du précédent ne s'appliquent plus
+    async loadTrackInfo(file) {
+        await this.overlay.setMetadata(await readMetadata(file));
+        this.lyrics.clear();
+        this.updateLyricsInfo();
+    }
+
+    // Sous-titres à côté de la vidéo, même nom ; start : position de la piste
+    // au début de la vidéo
+    saveSubtitles(videoFileName, start = 0) {
+        const format = this.lyrics.sidecar;
+        if (format === 'none' || this.lyrics.isEmpty()) return;
+        const blob = new Blob([this.lyrics.toSubtitles(format, start)], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' });
+        downloadBlob(blob, videoFileName.replace(/\.[^.]+$/, `.${format}`));
+    }
+
+    setupOverlayControls() {
+        const coverInput = document.getElementById('coverInput');
+
+        coverInput.addEventListener('change', async () => {
+            const file = coverInput.files[0];
+            if (!file) return;
+            await this.overlay.setCover(file);
+            coverInput.value = '';
+            if (!this.isPlaying) this.drawFrame();
+        });
+
+        document.getElementById('coverRemoveBtn').addEventListener('click', async () => {
+            await this.overlay.setCover(null);
+            if (!this.isPlaying) this.drawFrame();
+        });
+    }
+
+    setupExportControls() {
+        const exportDialog = document.getElementById('exportDialog');
+        const exportResolution = document.getElementById('exportResolution');
+        const exportBitrate = document.getElementById('exportBitrate');
+        const exportFormat = document.getElementById('exportFormat');
+
+        const addOption = (select, value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+        EXPORT_RESOLUTIONS.forEach(({ value, label }) => addOption(exportResolution, value, label));
+        EXPORT_BITRATES.forEach(bitrate => addOption(exportBitrate, bitrate, `${bitrate / 1000000} Mbit/s`));
+        exportBitrate.value = this.recorder.videoBitsPerSecond;
+
+        // Seuls les formats que le navigateur sait enregistrer sont proposés
+        const formats = getSupportedRecordingFormats();
+        formats.forEach(({ mimeType, label }) => addOption(exportFormat, mimeType, label));
+        if (!formats.length) {
+            addOption(exportFormat, '', 'Format par défaut du navigateur');
+        }
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            exportDialog.showModal();
+        });
+
+        exportResolution.addEventListener('change', () => {
+            this.exportSize = parseResolution(exportResolution.value);
+            this.resizeCanvas();
+        });
+    }
+
+    setupPlaylistControls() {
+        const panel = document.getElementById('playlistPanel');
+        const playlistInput = document.getElementById('playlistInput');
+
+        document.getElementById('playlistBtn').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+        });
+
+        playlistInput.addEventListener('change', () => {
+            this.addToPlaylist([...playlistInput.files]);
+            playlistInput.value = '';
+        });
+
+        // Fichiers ou dossiers déposés n'importe où sur la page
+        window.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            panel.classList.add('dragover');
+        });
+        window.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) panel.classList.remove('dragover');
+        });
+        window.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            panel.classList.remove('dragover');
+            const files = await collectAudioFiles(e.dataTransfer);
+            if (files.length) {
+                this.addToPlaylist(files);
+            }
+        });
+
+        document.getElementById('playlistPlayBtn').addEventListener('click', () => {
+            this.playPlaylistItem(Math.max(0, this.playlist.current));
+        });
+
+        document.getElementById('playlistRenderBtn').addEventListener('click', () => {
+            if (this.isRendering) {
+                this.cancelRender();
+                return;
+            }
+            this.playlist.queue();
+            this.renderPlaylist();
+        });
+
+        document.getElementById('playlistClearBtn').addEventListener('click', () => {
+            if (this.playlist.current >= 0) this.audioSystem.cancelNext();
+            this.playlist.clear();
+        });
+
+        this.playlist.addEventListener('change', () => {
+            this.playlistPanel.render(this.playlist);
+            this.updateButtonStates();
+        });
+        this.playlistPanel.render(this.playlist);
+
+        // Le morceau suivant a pris le relais sans blanc : habillage et
+        // préchargement du suivant
+        this.audioSystem.addEventListener('trackchange', async (event) => {
+            // Morceau programmé par queuePlaylistNext(), retrouvé par son id :
+            // la liste a pu changer depuis
+            const index = this.playlist.items.findIndex(item => item.id === event.detail.id);
+            this.playlist.setCurrent(index);
+            const item = this.playlist.items[index];
+            // Morceau retiré de la liste entre-temps : rien à enchaîner
+            if (!item) {
+                this.audioSystem.cancelNext();
+                return;
+            }
+            // Balises illisibles : le morceau est lu quand même et la liste continue
+            try {
+                await this.loadTrackInfo(item.file);
+            } catch (err) {
+                console.error('Erreur lors de la lecture des balises:', err);
+            }
+            this.renderSettings();
+            try {
+                await this.queuePlaylistNext();
+            } catch (err) {
+                console.error('Erreur lors du préchargement du morceau suivant:', err);
+            }
+        });
+    }
+
+    addToPlaylist(files) {
+        const index = this.playlist.add(files);
+        document.getElementById('playlistPanel').hidden = false;
+        // Rien de chargé : le premier morceau ajouté est prêt à être lu
+        if (!this.audioSystem.hasSource() && !this.isRendering) {
+            this.loadPlaylistItem(index);
+        }
+    }
+
+    removePlaylistItem(id) {
+        const item = this.playlist.get(id);
+        if (!item || item.status === 'rendering') return;
+        const wasNext = item === this.playlist.getNext();
+        this.playlist.remove(id);
+        if (wasNext) this.queuePlaylistNext();
+    }
+
+    async loadPlaylistItem(index) {
+        const item = this.playlist.items[index];
+        if (!item) return false;
+        const success = await this.audioSystem.loadAudio(item.file);
+        if (!success) {
+            this.playlist.update(item.id, { error: 'Fichier illisible' });
+            alert(`Impossible de lire « ${item.name} ».`);
+            return false;
+        }
+        this.playlist.setCurrent(index);
+        await this.loadTrackInfo(item.file);
+        this.renderSettings();
+        this.onSourceReady();
+        await this.queuePlaylistNext();
+        return true;
+    }
+
+    // Décode le morceau suivant pendant la lecture du courant, pour qu'il
+    // démarre à l'échantillon près ; les fichiers illisibles sont sautés
+    async queuePlaylistNext() {
+        const current = this.playlist.current;
+        for (let index = current + 1; index < this.playlist.items.length; index++) {
+            const item = this.playlist.items[index];
+            const buffer = await this.audioSystem.decodeFile(item.file);
+            // La liste ou le morceau courant ont changé pendant le décodage
+            if (this.playlist.current !== current || this.playlist.items[index] !== item) return;
+            if (buffer) {
+                if (index > current + 1) {
+                    // Les morceaux illisibles intermédiaires sont retirés de la liste
+                    for (const skipped of this.playlist.items.slice(current + 1, index)) {
+                        this.playlist.remove(skipped.id);
+                    }
+                }
+                await this.audioSystem.queueNext(buffer, item.id);
+                return;
+            }
+            this.playlist.update(item.id, { error: 'Fichier illisible' });
+        }
+        this.audioSystem.cancelNext();
+    }
+
+    async playPlaylistItem(index) {
+        if (this.isRecording || this.isRendering) return;
+        if (this.isPlaying) {
+            this.audioSystem.pause();
+            this.loop.stop();
+        }
+        if (await this.loadPlaylistItem(index)) {
+            this.startPlayback();
+        }
+    }
+
+    // Rendu hors ligne de chaque morceau en attente, avec le préréglage courant,
+    // dans un fichier à son nom
+    async renderPlaylist() {
+        if (this.isRendering) return;
+        if (this.isPlaying) {
+            this.playlist.cancelPending();
+            return;
+        }
+        if (!OfflineRenderer.isSupported()) {
+            alert('Le rendu hors ligne nécessite un navigateur compatible WebCodecs.');
+            this.playlist.cancelPending();
+            return;
+        }
+
+        this.isRendering = true;
+        this.batchCancelled = false;
+        this.updateButtonStates();
+        const renderBtn = document.getElementById('renderBtn');
+        const options = this.getRenderOptions();
+
+        let item;
+        while (!this.batchCancelled && (item = this.playlist.getPending())) {
+            const { id } = item;
+            this.playlist.update(id, { status: 'rendering', progress: 0 });
+            try {
+                if (!await this.audioSystem.loadAudio(item.file)) {
+                    throw new Error('Fichier illisible');
+                }
+                this.playlist.setCurrent(this.playlist.items.indexOf(item));
+                await this.loadTrackInfo(item.file);
+
+                let percent = 0;
+                const blob = await this.offlineRenderer.render({
+                    ...options,
+                    onProgress: (progress) => {
+                        // Pas plus d'une mise à jour de la liste par pour cent
+                        if (Math.floor(progress * 100) === percent) return;
+                        percent = Math.floor(progress * 100);
+                        renderBtn.textContent = `Cancel ${percent}%`;
+                        this.playlist.update(id, { progress });
+                    }
+                });
+                if (blob) {
+                    downloadBlob(blob, `${item.name}.webm`);
+                    this.playlist.update(id, { status: 'done', progress: 1 });
+                } else {
+                    this.playlist.update(id, { status: 'cancelled' });
+                }
+            } catch (err) {
+                console.error(`Erreur lors du rendu de ${item.name}:`, err);
+                this.playlist.update(id, { status: 'error', error: err.message });
+            }
+        }
+        this.playlist.cancelPending();
+
+        this.isRendering = false;
+        renderBtn.textContent = 'Render';
+        this.renderSettings();
+        this.onSourceReady();
+        if (this.playlist.current >= 0) await this.queuePlaylistNext();
+    }
+
+    cancelRender() {
+        this.batchCancelled = true;
+        this.offlineRenderer.cancel();
+    }
+
+    // Réglages communs au rendu d'un morceau et au rendu de la liste
+    getRenderOptions() {
+        const { fps, videoBitsPerSecond } = this.getExportOptions();
+        return {
+            sceneId: this.scenes.sceneId,
+            params: this.scenes.visualizer.getParams(),
+            modulation: this.scenes.modulation.getRoutes(),
+            automation: this.automation.getData(),
+            renderer: this.scenes.renderer,
+            effects: this.scenes.effects.getParams(),
+            background: this.background,
+            overlay: this.overlay,
+            lyrics: this.lyrics.burnIn ? this.lyrics : null,
+            analysisData: this.analysisData,
+            videoBitsPerSecond,
+            fps,
+            seed: parseInt(document.getElementById('renderSeed').value, 10) || 0,
+            width: this.stage.width,
+            height: this.stage.height
+        };
+    }
+
+    getExportOptions() {
+        return {
+            fps: parseInt(document.getElementById('exportFps').value, 10),
+            videoBitsPerSecond: parseInt(document.getElementById('exportBitrate').value, 10),
+            mimeType: document.getElementById('exportFormat').value
+        };
+    }
+
+    populateScenes() {
+        const sceneSelect = document.getElementById('sceneSelect');
+        for (const { id, name } of listVisualizers()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            sceneSelect.appendChild(option);
+        }
+        sceneSelect.value = this.scenes.sceneId;
+    }
+
+    // Changement de scène à chaud, avec fondu si la lecture est en cours
+    switchScene(id, params, modulation) {
+        const crossfade = parseFloat(document.getElementById('crossfadeSelect').value) || 0;
+        this.scenes.setScene(id, { crossfade: this.isPlaying ? crossfade : 0, params, modulation });
+        document.getElementById('sceneSelect').value = id;
+        this.renderSettings();
+        if (!this.isPlaying) {
+            this.drawFrame();
+        }
+    }
+
+    // Réglages courants, tels qu'enregistrés dans un préréglage
+    getSettings() {
+        return {
+            scene: this.scenes.sceneId,
+            params: this.scenes.visualizer.getParams(),
+            modulation: this.scenes.modulation.getRoutes(),
+            automation: this.automation.getData(),
+            effects: this.scenes.effects.getParams(),
+            background: this.background.getParams(),
+            overlay: this.overlay.getParams(),
+            lyrics: this.lyrics.getParams(),
+            audio: this.audioSystem.getParams(),
+            normalization: this.audioSystem.normalizer.mode,
+            cameraViews: this.cameraViews
+        };
+    }
+
+    // Préréglage enregistré ou partagé par lien : un réglage audio refusé est
+    // signalé au lieu de rester une promesse rejetée
+    async applyPreset(preset) {
+        try {
+            await this.applySettings(preset);
+        } catch (err) {
+            console.error('Erreur lors du chargement du préréglage:', err);
+            alert('Ce fichier n\'est pas un préréglage valide.');
+        }
+    }
+
+    async applySettings(settings) {
+        if (settings.audio) {
+            await this.audioSystem.setParams(settings.audio);
+        }
+        if (settings.normalization === 'adaptive' || settings.normalization === 'absolute') {
+            this.audioSystem.setNormalizationMode(settings.normalization);
+            document.getElementById('normalizationSelect').value = settings.normalization;
+        }
+        
+        if (hasVisualizer(settings.scene) && settings.scene !== this.scenes.sceneId) {
+            this.switchScene(settings.scene, settings.params, settings.modulation);
+        } else {
+            this.scenes.visualizer.setParams(settings.params || {});
+            this.scenes.modulation.setRoutes(settings.modulation);
+            this.renderSettings();
+        }
+        
+        if (settings.effects) {
+            this.scenes.effects.setParams(settings.effects);
+        }
+        if (settings.background) {
+            this.background.setParams(settings.background);
+        }
+        if (settings.overlay) {
+            this.overlay.setParams(settings.overlay);
+        }
+        if (settings.lyrics) {
+            this.lyrics.setParams(settings.lyrics);
+        }
+        if (settings.cameraViews) {
+            this.cameraViews = sanitizeCameraViews(settings.cameraViews);
+        }
+        this.automation.setData(settings.automation);
+        this.onAutomationChange();
+    }
+
+    // Applique l'automation à la position donnée (fichiers et flux à durée connue)
+    applyAutomation(time, options) {
+        if (!this.audioSystem.isSeekable()) return;
+        const sceneId = this.scenes.sceneId;
+        this.automation.apply(this.scenes, time, options);
+        if (this.scenes.sceneId !== sceneId) {
+            document.getElementById('sceneSelect').value = this.scenes.sceneId;
+            this.renderSettings();
+        }
+    }
+
+    onAutomationChange() {
+        this.automationEditor.render(this.automation);
+        this.renderSettings();
+        if (!this.isPlaying) {
+            this.applyAutomation(this.audioSystem.getCurrentTime(), { jump: true });
+            this.drawFrame();
+        }
+    }
+
+    setupAutomationControls() {
+        const keyframeEasing = document.getElementById('keyframeEasing');
+        for (const { value, label } of EASINGS) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            keyframeEasing.appendChild(option);
+        }
+
+        // Le repère reprend la scène courante, ses réglages et le fondu choisi
+        document.getElementById('cueAddBtn').addEventListener('click', () => {
+            this.automation.addCue({
+                time: this.audioSystem.getCurrentTime(),
+                scene: this.scenes.sceneId,
+                crossfade: parseFloat(document.getElementById('crossfadeSelect').value) || 0,
+                params: this.scenes.visualizer.getParams(),
+                modulation: this.scenes.modulation.getRoutes()
+            });
+            this.onAutomationChange();
+        });
+
+        document.getElementById('automationClearBtn').addEventListener('click', () => {
+            if (this.automation.isEmpty() || !confirm('Effacer toutes les clés et tous les repères ?')) return;
+            this.automation.setData({});
+            this.onAutomationChange();
+        });
+
+        // Saut dans la lecture : l'automation est rejouée sans fondu
+        this.audioSystem.addEventListener('seek', () => {
+            this.applyAutomation(this.audioSystem.getCurrentTime(), { jump: true });
+            if (!this.isPlaying) {
+                this.renderSettings();
+                this.drawFrame();
+            }
+        });
+    }
+
+    // Une section par route de modulation, puis l'ajout d'une nouvelle route
+    getModulationSections(schema) {
+        const modulation = this.scenes.modulation;
+        const targets = getModulationTargets(schema).map(param => ({ value: param.key, label: param.label }));
+        const routeSchema = [
+            { key: 'source', label: 'Source', type: 'select', options: MODULATION_SOURCES },
+            { key: 'stem', label: 'Piste', type: 'select', options: MODULATION_STEMS },
+            { key: 'target', label: 'Paramètre', type: 'select', options: targets },
+            ...CURVE_PARAMS
+        ];
+
+        const sections = modulation.getRoutes().map((route, index) => ({
+            title: `Modulation ${index + 1}`,
+            schema: routeSchema,
+            values: route,
+            onChange: (key, value) => modulation.updateRoute(index, key, value),
+            actions: [{
+                label: 'Retirer',
+                onClick: () => {
+                    modulation.removeRoute(index);
+                    this.renderSettings();
+                }
+            }]
+        }));
+
+        if (targets.length) {
+            sections.push({
+                title: 'Modulation',
+                schema: [],
+                values: {},
+                actions: [{
+                    label: 'Ajouter une modulation',
+                    onClick: () => {
+                        modulation.addRoute();
+                        this.renderSettings();
+                    }
+                }]
+            });
+        }
+        return sections;
+    }
+
+    // Entrées MIDI / OSC, puis une section par liaison
+    getControlSections(schema) {
+        const controls = this.controls;
+        const controllable = param => param.type !== 'text' && param.type !== 'color';
+        const targets = [
+            ...schema.filter(controllable).map(param => ({ value: `param:${param.key}`, label: `Scène : ${param.label}` })),
+            ...PostProcessor.params.filter(controllable).map(param => ({ value: `effect:${param.key}`, label: `Effets : ${param.label}` })),
+            ...listVisualizers().map(({ id, name }) => ({ value: `scene:${id}`, label: `Passer à ${name}` })),
+            ...CONTROL_ACTIONS
+        ];
+
+        const midiCount = this.midi.getInputCount();
+        const sections = [{
+            title: 'Contrôle MIDI / OSC',
+            schema: CONTROL_PARAMS,
+            values: controls.getParams(),
+            onChange: (key, value) => controls.setParam(key, value),
+            actions: [
+                {
+                    label: this.midi.isEnabled() ? `MIDI actif (${midiCount} entrée${midiCount > 1 ? 's' : ''})` : 'Activer le MIDI',
+                    onClick: () => this.enableMidi()
+                },
+                {
+                    label: !this.osc.isEnabled() ? 'Connecter le pont OSC'
+                        : `Déconnecter le pont OSC (${this.osc.status === 'open' ? 'connecté' : 'en attente du serveur'})`,
+                    onClick: () => this.toggleOsc()
+                },
+                {
+                    label: 'Ajouter une liaison',
+                    onClick: () => {
+                        controls.addBinding(targets[0].value);
+                        this.renderSettings();
+                    }
+                }
+            ]
+        }];
+
+        controls.bindings.forEach((binding, index) => {
+            // Cible absente de la scène courante : gardée telle quelle
+            const options = targets.some(target => target.value === binding.target)
+                ? targets
+                : [...targets, { value: binding.target, label: binding.target }];
+            const learning = controls.learning === index;
+            sections.push({
+                title: `Liaison ${index + 1} : ${learning ? 'bougez un contrôle…' : binding.label || 'aucun contrôle'}`,
+                schema: [{ key: 'target', label: 'Cible', type: 'select', options }, ...BINDING_PARAMS],
+                values: binding,
+                onChange: (key, value) => controls.updateBinding(index, key, value),
+                actions: [
+                    {
+                        label: learning ? 'Annuler' : 'Apprendre',
+                        onClick: () => {
+                            controls.learn(learning ? null : index);
+                            this.renderSettings();
+                        }
+                    },
+                    {
+                        label: 'Retirer',
+                        onClick: () => {
+                            controls.removeBinding(index);
+                            this.renderSettings();
+                        }
+                    }
+                ]
+            });
+        });
+        return sections;
+    }
+
+    renderSettings() {
+        const sceneId = this.scenes.sceneId;
+        const { name, params } = getVisualizer(sceneId);
+        this.settingsPanel.render([
+            {
+                title: name,
+                schema: params,
+                values: this.scenes.visualizer.getParams(),
+                onChange: (key, value) => {
+                    this.scenes.visualizer.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                },
+                automated: this.automation.tracks.filter(track => track.scene === sceneId).map(track => track.key),
+                onKeyframe: (key) => {
+                    this.automation.addKeyframe(
+                        sceneId,
+                        key,
+                        this.audioSystem.getCurrentTime(),
+                        this.scenes.visualizer.getParams()[key],
+                        document.getElementById('keyframeEasing').value
+                    );
+                    this.onAutomationChange();
+                },
+                actions: [{
+                    label: 'Palette depuis une image',
+                    onClick: () => document.getElementById('paletteImageInput').click()
+                }]
+            },
+            {
+                title: 'Effets',
+                schema: PostProcessor.params,
+                values: this.scenes.effects.getParams(),
+                onChange: (key, value) => {
+                    this.scenes.effects.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                title: 'Arrière-plan',
+                schema: Background.params,
+                values: this.background.getParams(),
+                onChange: (key, value) => {
+                    this.background.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                title: 'Morceau',
+                schema: Overlay.trackParams,
+                values: this.overlay.getTrackParams(),
+                onChange: (key, value) => {
+                    this.overlay.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                title: 'Habillage',
+                schema: Overlay.params,
+                values: this.overlay.getParams(),
+                onChange: (key, value) => {
+                    this.overlay.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                title: 'Paroles',
+                schema: Lyrics.params,
+                values: this.lyrics.getParams(),
+                onChange: (key, value) => {
+                    this.lyrics.setParam(key, value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                // Propre à la machine : pas enregistré dans les préréglages
+                title: 'Affichage',
+                schema: [{ key: 'renderer', label: 'Moteur des particules', type: 'select', options: PARTICLE_RENDERERS }],
+                values: { renderer: this.scenes.renderer },
+                onChange: (key, value) => {
+                    this.scenes.setRenderer(value);
+                    if (!this.isPlaying) this.drawFrame();
+                }
+            },
+            {
+                title: 'Audio',
+                schema: AudioSystem.params,
+                values: this.audioSystem.getParams(),
+                onChange: (key, value) => this.audioSystem.setParam(key, value)
+            },
+            ...this.getCameraSections(),
+            ...this.getModulationSections(params),
+            ...this.getControlSections(params)
+        ]);
+    }
+
+    populatePresets(selected = '') {
+        const presetSelect = document.getElementById('presetSelect');
+        presetSelect.innerHTML = '';
+        for (const name of Object.keys(loadPresets()).sort()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetSelect.appendChild(option);
+        }
+        if (selected) presetSelect.value = selected;
+    }
+
+    setupPresetControls() {
+        const presetSelect = document.getElementById('presetSelect');
+        const presetName = document.getElementById('presetName');
+        const presetImport = document.getElementById('presetImport');
+
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            const panel = document.getElementById('settingsPanel');
+            panel.hidden = !panel.hidden;
+        });
+
+        document.getElementById('presetSaveBtn').addEventListener('click', () => {
+            const name = presetName.value.trim() || presetSelect.value;
+            if (!name) {
+                alert('Donnez un nom au préréglage.');
+                return;
+            }
+            savePreset(name, this.getSettings());
+            this.populatePresets(name);
+        });
+
+        document.getElementById('presetLoadBtn').addEventListener('click', () => {
+            const preset = loadPresets()[presetSelect.value];
+            if (preset) {
+                presetName.value = presetSelect.value;
+                this.applyPreset(preset);
+            }
+        });
+
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => {
+            if (!presetSelect.value) return;
+            deletePreset(presetSelect.value);
+            this.populatePresets();
+        });
+
+        document.getElementById('presetExportBtn').addEventListener('click', () => {
+            const name = presetName.value.trim() || 'preset';
+            downloadBlob(presetToBlob(name, this.getSettings()), `${name}.json`);
+        });
+
+        presetImport.addEventListener('change', async () => {
+            const file = presetImport.files[0];
+            if (!file) return;
+            try {
+                const preset = await readPresetFile(file);
+                if (preset.name) presetName.value = preset.name;
+                await this.applySettings(preset);
+            } catch (err) {
+                console.error('Erreur lors de l\'import du préréglage:', err);
+                alert('Ce fichier n\'est pas un préréglage valide.');
+            }
+            presetImport.value = '';
+        });
+
+        document.getElementById('presetShareBtn').addEventListener('click', async () => {
+            const hash = encodePresetHash(this.getSettings());
+            history.replaceState(null, '', hash);
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                alert('Lien copié dans le presse-papiers.');
+            } catch (err) {
+                prompt('Lien du préréglage :', window.location.href);
+            }
+        });
+
+        window.addEventListener('hashchange', () => {
+            const preset = decodePresetHash(window.location.hash);
+            if (preset) this.applyPreset(preset);
+        });
+
+        this.populatePresets();
+    }
+
+    async stopRecording() {
+        await this.recorder.stopRecording();
+        this.isRecording = false;
+        this.isPlaying = false;
+        document.getElementById('playRecordBtn').textContent = 'Play & Record';
+        this.loop.stop();
+    }
+
+    updateTimeDisplay(currentTime) {
+        const timeDisplay = document.getElementById('timeDisplay');
+        if (!this.audioSystem.isSeekable()) {
+            // Entrée live ou flux sans fin : seulement le temps écoulé
+            timeDisplay.textContent = formatTime(currentTime);
+            return;
+        }
+        const duration = this.audioSystem.getDuration();
+        timeDisplay.textContent = `${formatTime(currentTime)} / -${formatTime(duration - currentTime)}`;
+    }
+
+    startPlayback() {
+        if (!this.audioSystem.play()) return false;
+        this.isPlaying = true;
+        document.getElementById('playBtn').textContent = 'Pause';
+        this.loop.start();
+        this.updateButtonStates();
+        return true;
+    }
+
+    // Nouvelle source prête : repartir d'un état arrêté
+    onSourceReady() {
+        this.isPlaying = false;
+        this.isRecording = false;
+        document.getElementById('playBtn').textContent = 'Play';
+        document.getElementById('monitorToggle').checked = this.audioSystem.isMonitoring();
+        this.scenes.reset();
+        this.present();
+        this.updateTransport();
+        this.updateButtonStates();
+    }
+
+    async populateDevices() {
+        const deviceSelect = document.getElementById('deviceSelect');
+        const devices = await AudioSystem.getInputDevices();
+        const current = deviceSelect.value;
+        
+        deviceSelect.innerHTML = '';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Entrée ${index + 1}`;
+            deviceSelect.appendChild(option);
+        });
+        if (current) deviceSelect.value = current;
+    }
+
+    // Affiche les contrôles propres au type de source choisi et l'active
+    async selectSource(type) {
+        document.querySelector('label[for="fileInput"]').style.display = type === 'file' ? '' : 'none';
+        document.getElementById('stemsLabel').hidden = type !== 'stems';
+        document.getElementById('deviceSelect').hidden = type !== 'microphone';
+        document.getElementById('streamUrl').hidden = type !== 'stream';
+        
+        let success = false;
+        if (type === 'microphone') {
+            success = await this.audioSystem.useMicrophone(document.getElementById('deviceSelect').value || null);
+            // Les libellés des périphériques ne sont visibles qu'après autorisation
+            if (success) await this.populateDevices();
+        } else if (type === 'display') {
+            success = await this.audioSystem.useDisplayAudio();
+        } else if (this.audioSystem.sourceType !== type) {
+            // Fichier, stems ou flux : la source est activée par son propre champ
+            this.audioSystem.releaseSource();
+        }
+        
+        if (!success && (type === 'microphone' || type === 'display')) {
+            alert('Impossible d\'accéder à cette source audio. Vérifiez les autorisations du navigateur.');
+        }
+        this.onSourceReady();
+    }
+
+    // Synchronise la timeline et l'affichage du temps avec la position de lecture
+    updateTransport() {
+        const timeline = document.getElementById('timeline');
+        const currentTime = this.audioSystem.getCurrentTime();
+        
+        timeline.max = this.audioSystem.getDuration();
+        if (!this.isScrubbing) {
+            timeline.value = currentTime;
+            this.updateTimeDisplay(currentTime);
+        }
     }
 
     updateButtonStates() {
         const fileInput = document.getElementById('fileInput');
-        const fileLabel = document.querySelector('.file-label');
+        const fileLabel = document.querySelector('label[for="fileInput"]');
         const playBtn = document.getElementById('playBtn');
         const playRecordBtn = document.getElementById('playRecordBtn');
+        const renderBtn = document.getElementById('renderBtn');
+        const timeline = document.getElementById('timeline');
+        const sourceSelect = document.getElementById('sourceSelect');
 
         // État initial : tout est désactivé sauf le choix de fichier
-        fileInput.disabled = this.isPlaying || this.isRecording;
+        fileInput.disabled = this.isPlaying || this.isRecording || this.isRendering;
         fileLabel.style.opacity = fileInput.disabled ? '0.5' : '1';
         fileLabel.style.pointerEvents = fileInput.disabled ? 'none' : 'auto';
+        const stemsLabel = document.getElementById('stemsLabel');
+        document.getElementById('stemsInput').disabled = fileInput.disabled;
+        stemsLabel.style.opacity = fileLabel.style.opacity;
+        stemsLabel.style.pointerEvents = fileLabel.style.pointerEvents;
+
+        // Choix de la source, figé pendant la lecture comme le choix de fichier
+        sourceSelect.disabled = fileInput.disabled;
+        document.getElementById('deviceSelect').disabled = fileInput.disabled;
+        document.getElementById('streamUrl').disabled = fileInput.disabled;
 
         // Play button
-        playBtn.disabled = !this.audioSystem.audioBuffer || this.isRecording;
+        playBtn.disabled = !this.audioSystem.hasSource() || this.isRecording || this.isRendering;
         playBtn.style.opacity = playBtn.disabled ? '0.5' : '1';
 
         // Play & Record button
         // Le bouton est désactivé seulement si on est en lecture simple ou si aucun fichier n'est chargé
-        playRecordBtn.disabled = !this.audioSystem.audioBuffer || (this.isPlaying && !this.isRecording);
+        playRecordBtn.disabled = !this.audioSystem.hasSource() || (this.isPlaying && !this.isRecording) || this.isRendering;
         playRecordBtn.style.opacity = playRecordBtn.disabled ? '0.5' : '1';
+
+        // La résolution d'export est figée pendant un enregistrement ou un rendu
+        document.getElementById('exportResolution').disabled = this.isRecording || this.isRendering;
+
+        // Timeline : pas de déplacement pendant un enregistrement ou un rendu
+        timeline.disabled = !this.audioSystem.isSeekable() || this.isRecording || this.isRendering;
+
+        // Render button : reste actif pendant le rendu pour permettre l'annulation
+        // (le rendu hors ligne n'existe que pour un fichier décodé)
+        renderBtn.disabled = !this.audioSystem.audioBuffer || this.isPlaying || this.isRecording;
+        renderBtn.style.opacity = renderBtn.disabled ? '0.5' : '1';
+
+        // Liste : le rendu par lots s'annule depuis son propre bouton
+        const hasItems = this.playlist.items.length > 0;
+        const playlistRenderBtn = document.getElementById('playlistRenderBtn');
+        document.getElementById('playlistPlayBtn').disabled = !hasItems || this.isRecording || this.isRendering;
+        document.getElementById('playlistClearBtn').disabled = this.isRendering;
+        playlistRenderBtn.disabled = !hasItems || this.isPlaying || this.isRecording;
+        playlistRenderBtn.textContent = this.isRendering ? 'Annuler' : 'Rendre tout';
+        this.playlistPanel.setRetryEnabled(!this.isPlaying);
     }
 
     setupEventListeners() {
         const fileInput = document.getElementById('fileInput');
+        const stemsInput = document.getElementById('stemsInput');
         const playRecordBtn = document.getElementById('playRecordBtn');
         const playBtn = document.getElementById('playBtn');
+        const renderBtn = document.getElementById('renderBtn');
+        const timeline = document.getElementById('timeline');
+        const sourceSelect = document.getElementById('sourceSelect');
+        const deviceSelect = document.getElementById('deviceSelect');
+        const streamUrl = document.getElementById('streamUrl');
+        const monitorToggle = document.getElementById('monitorToggle');
+        const sceneSelect = document.getElementById('sceneSelect');
+        const normalizationSelect = document.getElementById('normalizationSelect');
+        const prescanToggle = document.getElementById('prescanToggle');
 
         window.addEventListener('resize', () => this.resizeCanvas());
 
         fileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
+            const files = [...e.target.files];
+            if (files.length > 1) {
+                // Plusieurs fichiers : ils forment une liste de lecture
+                await this.loadPlaylistItem(this.playlist.add(files));
+                document.getElementById('playlistPanel').hidden = false;
+                return;
+            }
+            const file = files[0];
             if (file) {
                 const success = await this.audioSystem.loadAudio(file);
                 if (success) {
-                    this.isPlaying = false;
-                    this.isRecording = false;
-                    this.updateButtonStates();
+                    this.playlist.setCurrent(-1);
+                    // Titre, artiste et pochette depuis les balises du fichier
+                    await this.loadTrackInfo(file);
+                    this.renderSettings();
+                    this.onSourceReady();
                 }
             }
         });
 
+        // Stems d'un même morceau, choisis ensemble ; la piste de chaque
+        // fichier se déduit de son nom
+        stemsInput.addEventListener('change', async () => {
+            const files = [...stemsInput.files];
+            stemsInput.value = '';
+            if (!files.length) return;
+            const success = await this.audioSystem.loadStems(files);
+            if (!success) {
+                alert('Impossible de décoder un des stems.');
+                return;
+            }
+            this.playlist.setCurrent(-1);
+            await this.loadTrackInfo(files[0]);
+            document.getElementById('stemsLabel').title = this.audioSystem.stems
+                .map(stem => getStemLabel(stem.name))
+                .join(', ');
+            this.renderSettings();
+            this.onSourceReady();
+        });
+
+        sceneSelect.addEventListener('change', () => this.switchScene(sceneSelect.value));
+
+        normalizationSelect.addEventListener('change', () => {
+            this.audioSystem.setNormalizationMode(normalizationSelect.value);
+        });
+
+        prescanToggle.addEventListener('change', () => {
+            this.audioSystem.setPrescanEnabled(prescanToggle.checked);
+        });
+
+        sourceSelect.addEventListener('change', () => this.selectSource(sourceSelect.value));
+
+        deviceSelect.addEventListener('change', async () => {
+            const success = await this.audioSystem.useMicrophone(deviceSelect.value);
+            if (!success) {
+                alert('Impossible d\'ouvrir ce périphérique d\'entrée.');
+            }
+            this.onSourceReady();
+        });
+
+        streamUrl.addEventListener('change', async () => {
+            const url = streamUrl.value.trim();
+            if (!url) return;
+            const success = await this.audioSystem.useStream(url);
+            if (!success) {
+                alert('Impossible de lire ce flux. Vérifiez l\'URL et les en-têtes CORS du serveur.');
+            }
+            this.onSourceReady();
+        });
+
+        // Réactiver l'écoute d'une entrée live se fait à ses risques (larsen)
+        monitorToggle.addEventListener('change', () => {
+            this.audioSystem.setMonitoring(monitorToggle.checked);
+        });
+
         playBtn.addEventListener('click', async () => {
             if (!this.isPlaying) {
-                const playSuccess = this.audioSystem.play();
-                if (playSuccess) {
-                    this.isPlaying = true;
-                    playBtn.textContent = 'Stop';
-                    
-                    if (!this.animationId) {
-                        this.animate();
-                    }
-                }
+                // Reprend à la position courante
+                this.startPlayback();
             } else {
+                // Pause sans réinitialiser le visualiseur pour une reprise continue
                 this.audioSystem.pause();
                 this.isPlaying = false;
                 playBtn.textContent = 'Play';
-                
-                if (this.animationId) {
-                    cancelAnimationFrame(this.animationId);
-                    this.animationId = null;
-                    this.visualizer.reset();
-                }
+                this.loop.stop();
             }
             this.updateButtonStates();
         });
 
         playRecordBtn.addEventListener('click', async () => {
             if (!this.isRecording) {
-                const playSuccess = this.audioSystem.play();
-                if (playSuccess) {
-                    const recordSuccess = await this.recorder.startRecording();
-                    if (recordSuccess) {
+                // L'enregistrement démarre avant la lecture pour garder l'audio
+                // et la vidéo synchronisés dès la première image
+                if (!this.audioSystem.hasSource()) return;
+                const { fps, videoBitsPerSecond, mimeType } = this.getExportOptions();
+                this.recorder.configure({ mimeType, videoBitsPerSecond, frameRate: fps });
+                this.recordStart = this.audioSystem.getCurrentTime();
+                const recordSuccess = await this.recorder.startRecording();
+                if (recordSuccess) {
+                    const playSuccess = this.audioSystem.play();
+                    if (playSuccess) {
                         this.isRecording = true;
                         this.isPlaying = true;
                         playRecordBtn.textContent = 'Stop';
-                        
-                        if (!this.animationId) {
-                            this.animate();
-                        }
+                        this.loop.start();
                     }
                 }
             } else {
                 this.audioSystem.pause();
-                await this.recorder.stopRecording();
-                this.isRecording = false;
-                this.isPlaying = false;
-                playRecordBtn.textContent = 'Play & Record';
-                
-                if (this.animationId) {
-                    cancelAnimationFrame(this.animationId);
-                    this.animationId = null;
-                    this.visualizer.reset();
-                }
+                await this.stopRecording();
             }
             this.updateButtonStates();
         });
 
+        handlePlaybackEnd(this.audioSystem, this, (event) => {
+            playBtn.textContent = 'Play';
+            this.updateTransport();
+            this.updateButtonStates();
+            if (event.type === 'playbackerror') {
+                alert(`Lecture impossible : ${event.detail.error.message}`);
+            }
+        });
+
+        // Timeline : pendant le glissement, la boucle d'animation ne touche pas au curseur
+        timeline.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+        timeline.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.updateTimeDisplay(parseFloat(timeline.value));
+        });
+        timeline.addEventListener('change', () => {
+            this.audioSystem.seek(parseFloat(timeline.value));
+            this.isScrubbing = false;
+            this.updateTransport();
+        });
+
+        renderBtn.addEventListener('click', async () => {
+            if (this.isRendering) {
+                this.cancelRender();
+                return;
+            }
+            if (!OfflineRenderer.isSupported()) {
+                alert('Le rendu hors ligne nécessite un navigateur compatible WebCodecs.');
+                return;
+            }
+
+            this.isRendering = true;
+            this.updateButtonStates();
+            try {
+                const blob = await this.offlineRenderer.render({
+                    ...this.getRenderOptions(),
+                    onProgress: (progress) => {
+                        renderBtn.textContent = `Cancel ${Math.floor(progress * 100)}%`;
+                    }
+                });
+                if (blob) {
+                    const fileName = timestampedFileName('visualizer', 'webm');
+                    downloadBlob(blob, fileName);
+                    this.saveSubtitles(fileName);
+                }
+            } catch (err) {
+                console.error('Erreur lors du rendu hors ligne:', err);
+                alert('Erreur lors du rendu hors ligne. Vérifiez la console pour plus de détails.');
+            } finally {
+                this.isRendering = false;
+                renderBtn.textContent = 'Render';
+                this.updateButtonStates();
+            }
+        });
+
         // État initial des boutons
         this.updateButtonStates();
     }
 
-    animate() {
-        this.animationId = requestAnimationFrame(() => this.animate());
-        
+    // Une image de la boucle de lecture (voir playbackLoop.js)
+    animate(dt, firstFrame, now) {
         if (!this.isPlaying) return;
         
-        // Obtenir l'analyse audio complète
-        const analysis = {
-            bands: {
-                subBass: { intensity: this.audioSystem.getFrequencyRange(20, 60) },
-                bass: { intensity: this.audioSystem.getFrequencyRange(60, 250) },
-                lowMids: { intensity: this.audioSystem.getFrequencyRange(250, 500) },
-                highMids: { intensity: this.audioSystem.getFrequencyRange(500, 2000) },
-                highs: { intensity: this.audioSystem.getFrequencyRange(2000, 20000) }
-            }
-        };
+        this.updateTransport();
+        
+        // Obtenir l'analyse audio complète (une seule lecture du spectre)
+        const analysis = this.audioSystem.analyze();
+        // Analyse importée : ses bandes à la position de lecture (fichiers et stems)
+        if (this.analysisData && this.audioSystem.isSeekable()) {
+            applyAnalysisData(analysis, this.analysisData, analysis.time);
+        }
+        
+        // Horloge MIDI : le tempo du séquenceur remplace celui détecté
+        const clockBeat = this.controls.clockSync ? this.midi.getClockBeat(now) : null;
+        if (clockBeat) analysis.beat = clockBeat;
+        
+        // Automation à la position de lecture (sans fondu à la reprise)
+        this.applyAutomation(analysis.time, { jump: firstFrame });
         
         // Mettre à jour la visualisation avec l'analyse complète
-        this.visualizer.update(analysis);
-        this.visualizer.draw();
+        this.scenes.update(analysis, dt);
+        this.lyrics.update(analysis);
+        this.drawFrame();
     }
 }
 
@@ -0,0 +1,239 @@
+// Lecture des métadonnées d'un fichier audio : titre, artiste, album et
+// pochette, depuis les balises ID3v2 / ID3v1 (MP3), les blocs FLAC et les
+// commentaires Vorbis / Opus d'un flux Ogg. Tout champ absent vaut ''
+// (picture : null) ; le titre retombe sur le nom du fichier.
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+function readString(bytes, start, length) {
+    return latin1.decode(bytes.subarray(start, start + length));
+}
+
+function syncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function uint32(bytes, offset, littleEndian = false) {
+    return new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0, littleEndian);
+}
+
+// Texte ID3 : premier octet = encodage (0 latin1, 1 UTF-16 avec BOM, 2 UTF-16BE, 3 UTF-8)
+function decodeId3Text(encoding, bytes) {
+    let text;
+    if (encoding === 1 || encoding === 2) {
+        let littleEndian = encoding === 1;
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            bytes = bytes.subarray(2);
+            littleEndian = true;
+        } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            bytes = bytes.subarray(2);
+            littleEndian = false;
+        }
+        text = new TextDecoder(littleEndian ? 'utf-16le' : 'utf-16be').decode(bytes);
+    } else {
+        text = (encoding === 3 ? utf8 : latin1).decode(bytes);
+    }
+    return text.replace(/\0.*$/s, '').trim();
+}
+
+// Fin d'une chaîne terminée par zéro (deux zéros alignés en UTF-16)
+function findTerminator(bytes, start, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = start; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+        }
+    } else {
+        const index = bytes.indexOf(0, start);
+        if (index >= 0) return index + 1;
+    }
+    return bytes.length;
+}
+
+function parseId3v2(bytes, metadata) {
+    const version = bytes[3];
+    const tagSize = syncsafe(bytes, 6);
+    const end = Math.min(bytes.length, 10 + tagSize);
+    let offset = 10;
+
+    // En-tête étendu (v2.3 / v2.4)
+    if (bytes[5] & 0x40 && version >= 3) {
+        offset += version === 4 ? syncsafe(bytes, offset) : uint32(bytes, offset) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const frames = version === 2
+        ? { TT2: 'title', TP1: 'artist', TAL: 'album', PIC: 'picture' }
+        : { TIT2: 'title', TPE1: 'artist', TALB: 'album', APIC: 'picture' };
+
+    while (offset + headerLength <= end) {
+        const id = readString(bytes, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // remplissage
+
+        let size;
+        if (version === 2) {
+            size = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+        } else if (version === 4) {
+            size = syncsafe(bytes, offset + 4);
+        } else {
+            size = uint32(bytes, offset + 4);
+        }
+        const data = bytes.subarray(offset + headerLength, Math.min(end, offset + headerLength + size));
+        offset += headerLength + size;
+
+        const field = frames[id];
+        if (!field || metadata[field] || !data.length) continue;
+
+        const encoding = data[0];
+        if (field !== 'picture') {
+            metadata[field] = decodeId3Text(encoding, data.subarray(1));
+            continue;
+        }
+
+        // Pochette : type MIME (ou format sur 3 lettres en v2.2), type d'image, description, données
+        let mimeType;
+        let position;
+        if (version === 2) {
+            const format = readString(data, 1, 3).toLowerCase();
+            mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+            position = 4;
+        } else {
+            const mimeEnd = findTerminator(data, 1, 0);
+            mimeType = readString(data, 1, mimeEnd - 2) || 'image/jpeg';
+            position = mimeEnd;
+        }
+        position = findTerminator(data, position + 1, encoding);
+        metadata.picture = new Blob([data.slice(position)], { type: mimeType });
+    }
+}
+
+function parseId3v1(bytes, metadata) {
+    const tag = bytes.subarray(bytes.length - 128);
+    const field = (start, length) => readString(tag, start, length).replace(/\0.*$/s, '').trim();
+    metadata.title ||= field(3, 30);
+    metadata.artist ||= field(33, 30);
+    metadata.album ||= field(63, 30);
+}
+
+// Commentaires Vorbis (FLAC, Ogg Vorbis, Opus) : fournisseur puis "CLÉ=valeur"
+function parseVorbisComments(bytes, offset, metadata) {
+    const vendorLength = uint32(bytes, offset, true);
+    offset += 4 + vendorLength;
+    const count = uint32(bytes, offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = uint32(bytes, offset, true);
+        const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+
+        const separator = comment.indexOf('=');
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = comment.slice(separator + 1).trim();
+        if (key === 'TITLE') metadata.title ||= value;
+        else if (key === 'ARTIST') metadata.artist ||= value;
+        else if (key === 'ALBUM') metadata.album ||= value;
+        else if (key === 'METADATA_BLOCK_PICTURE' && !metadata.picture) {
+            try {
+                const picture = Uint8Array.from(atob(value), char => char.charCodeAt(0));
+                parseFlacPicture(picture, metadata);
+            } catch (error) {
+                console.warn('Pochette illisible:', error);
+            }
+        }
+    }
+}
+
+// Bloc PICTURE de FLAC (aussi utilisé, en base64, dans les commentaires Ogg)
+function parseFlacPicture(bytes, metadata) {
+    let offset = 4;
+    const mimeLength = uint32(bytes, offset);
+    const mimeType = readString(bytes, offset + 4, mimeLength);
+    offset += 4 + mimeLength;
+    offset += 4 + uint32(bytes, offset); // description
+    offset += 16; // largeur, hauteur, profondeur, couleurs
+    const length = uint32(bytes, offset);
+    metadata.picture = new Blob([bytes.slice(offset + 4, offset + 4 + length)], { type: mimeType || 'image/jpeg' });
+}
+
+function parseFlac(bytes, metadata) {
+    let offset = 4;
+    let last = false;
+    while (!last && offset + 4 <= bytes.length) {
+        last = Boolean(bytes[offset] & 0x80);
+        const type = bytes[offset] & 0x7F;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const block = bytes.subarray(offset + 4, offset + 4 + length);
+        if (type === 4) parseVorbisComments(block, 0, metadata);
+        if (type === 6 && !metadata.picture) parseFlacPicture(block, metadata);
+        offset += 4 + length;
+    }
+}
+
+// Ogg : on recompose le deuxième paquet du flux (en-tête de commentaires),
+// qui peut s'étendre sur plusieurs pages
+function parseOgg(bytes, metadata) {
+    const packets = [];
+    let current = [];
+    let offset = 0;
+
+    while (packets.length < 2 && offset + 27 <= bytes.length && readString(bytes, offset, 4) === 'OggS') {
+        const segmentCount = bytes[offset + 26];
+        const segments = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+        let position = offset + 27 + segmentCount;
+
+        for (const size of segments) {
+            current.push(bytes.subarray(position, position + size));
+            position += size;
+            // Un segment de moins de 255 octets termine le paquet
+            if (size < 255) {
+                const length = current.reduce((sum, part) => sum + part.length, 0);
+                const packet = new Uint8Array(length);
+                let written = 0;
+                for (const part of current) {
+                    packet.set(part, written);
+                    written += part.length;
+                }
+                packets.push(packet);
+                current = [];
+            }
+        }
+        offset = position;
+    }
+
+    const comments = packets[1];
+    if (!comments) return;
+    if (readString(comments, 0, 7) === '\x03vorbis') {
+        parseVorbisComments(comments, 7, metadata);
+    } else if (readString(comments, 0, 8) === 'OpusTags') {
+        parseVorbisComments(comments, 8, metadata);
+    }
+}
+
+export async function readMetadata(file) {
+    const metadata = { title: '', artist: '', album: '', picture: null };
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const magic = readString(bytes, 0, 4);
+
+        if (magic.startsWith('ID3')) {
+            parseId3v2(bytes, metadata);
+        } else if (magic === 'fLaC') {
+            parseFlac(bytes, metadata);
+        } else if (magic === 'OggS') {
+            parseOgg(bytes, metadata);
+        }
+        if (bytes.length >= 128 && readString(bytes, bytes.length - 128, 3) === 'TAG') {
+            parseId3v1(bytes, metadata);
+        }
+    } catch (error) {
+        // Balises corrompues : on garde ce qui a pu être lu
+        console.warn('Métadonnées illisibles:', error);
+    }
+
+    if (!metadata.title && file.name) {
+        metadata.title = file.name.replace(/\.[^.]+$/, '');
+    }
+    return metadata;
+}
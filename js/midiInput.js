@@ -0,0 +1,125 @@
+// Entrée Web MIDI : contrôleurs (CC), notes, pitch bend et horloge de toutes
+// les entrées branchées, y compris celles branchées après l'activation.
+// Émet 'control' avec { input, value, label } : input identifie le contrôle
+// ('cc:1:7', 'note:10:36', 'bend:1'), value est ramenée dans [0, 1].
+// L'horloge MIDI (24 impulsions par noire) donne le tempo et la phase du temps.
+const CLOCK_PPQN = 24;
+const CLOCK_TIMEOUT = 500; // ms sans impulsion : horloge considérée arrêtée
+
+export class MidiInput extends EventTarget {
+    constructor() {
+        super();
+        this.access = null;
+        // Horloge : intervalle lissé entre impulsions (ms), position dans la noire
+        this.tickInterval = 0;
+        this.lastTick = null;
+        this.ticks = 0;
+        this.pendingBeat = false;
+        // null tant qu'aucun Start / Stop n'a été reçu : l'horloge est suivie
+        // même si le séquenceur tournait déjà
+        this.running = null;
+    }
+
+    static isSupported() {
+        return Boolean(navigator.requestMIDIAccess);
+    }
+
+    async enable() {
+        if (this.access) return true;
+        try {
+            this.access = await navigator.requestMIDIAccess();
+        } catch (error) {
+            console.error('Accès MIDI refusé:', error);
+            return false;
+        }
+        this.access.addEventListener('statechange', () => this.attachInputs());
+        this.attachInputs();
+        return true;
+    }
+
+    isEnabled() {
+        return this.access !== null;
+    }
+
+    attachInputs() {
+        for (const input of this.access.inputs.values()) {
+            input.onmidimessage = (event) => this.handleMessage(event.data, event.timeStamp);
+        }
+    }
+
+    getInputCount() {
+        return this.access ? this.access.inputs.size : 0;
+    }
+
+    // time : horodatage du message, même horloge que performance.now()
+    handleMessage(data, time) {
+        const [status, data1 = 0, data2 = 0] = data;
+        if (status === 0xF8) {
+            this.onClock(time);
+            return;
+        }
+        if (status === 0xFA) {
+            // Start : la prochaine impulsion tombe sur le premier temps
+            this.running = true;
+            this.ticks = CLOCK_PPQN - 1;
+            return;
+        }
+        if (status === 0xFB) {
+            this.running = true;
+            return;
+        }
+        if (status === 0xFC) {
+            this.running = false;
+            return;
+        }
+
+        const type = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+        if (type === 0xB0) {
+            this.emit(`cc:${channel}:${data1}`, data2 / 127, `CC ${data1} (canal ${channel})`);
+        } else if (type === 0x90 || type === 0x80) {
+            // Note on de vélocité nulle : relâchement
+            const velocity = type === 0x80 ? 0 : data2;
+            this.emit(`note:${channel}:${data1}`, velocity / 127, `Note ${data1} (canal ${channel})`);
+        } else if (type === 0xE0) {
+            this.emit(`bend:${channel}`, ((data2 << 7) | data1) / 16383, `Pitch bend (canal ${channel})`);
+        }
+    }
+
+    emit(input, value, label) {
+        this.dispatchEvent(new CustomEvent('control', { detail: { input, value, label } }));
+    }
+
+    onClock(time) {
+        if (this.lastTick !== null) {
+            const interval = time - this.lastTick;
+            // Lissage : l'horloge arrive avec une gigue de l'ordre de la milliseconde
+            if (interval > 0 && interval < CLOCK_TIMEOUT) {
+                this.tickInterval = this.tickInterval
+                    ? this.tickInterval + (interval - this.tickInterval) * 0.1
+                    : interval;
+            }
+        }
+        this.lastTick = time;
+        if (this.running === false) return;
+
+        this.ticks = (this.ticks + 1) % CLOCK_PPQN;
+        if (this.ticks === 0) this.pendingBeat = true;
+    }
+
+    // Tempo et phase de l'horloge au format de analysis.beat, null sans
+    // horloge en cours ; chaque temps n'est signalé qu'une fois
+    getClockBeat(now = performance.now()) {
+        if (this.lastTick === null || !this.tickInterval || this.running === false) return null;
+        if (now - this.lastTick > CLOCK_TIMEOUT) return null;
+
+        const isBeat = this.pendingBeat;
+        this.pendingBeat = false;
+        return {
+            bpm: 60000 / (this.tickInterval * CLOCK_PPQN),
+            phase: this.ticks / CLOCK_PPQN,
+            confidence: 1,
+            isBeat
+        };
+    }
+}
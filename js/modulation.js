@@ -0,0 +1,179 @@
+import { sanitizeParams } from './params.js';
+import { STEMS } from './stems.js';
+
+// Matrice de modulation : chaque route relie une source de l'analyse audio
+// (ou un LFO, une enveloppe) à un paramètre numérique de la scène, à travers
+// une courbe. La sortie de la courbe est exprimée en fraction de la plage du
+// paramètre et s'ajoute à sa valeur réglée ; plusieurs routes peuvent viser le
+// même paramètre.
+export const MODULATION_SOURCES = [
+    { value: 'subBass', label: 'Sub-basses' },
+    { value: 'bass', label: 'Basses' },
+    { value: 'lowMids', label: 'Bas médiums' },
+    { value: 'highMids', label: 'Hauts médiums' },
+    { value: 'highs', label: 'Aigus' },
+    { value: 'intensity', label: 'Intensité globale' },
+    { value: 'rms', label: 'RMS' },
+    { value: 'flux', label: 'Flux spectral' },
+    { value: 'onset', label: 'Attaque' },
+    { value: 'kick', label: 'Attaque des basses' },
+    { value: 'beat', label: 'Temps' },
+    { value: 'beatPhase', label: 'Phase du temps' },
+    { value: 'lfo', label: 'LFO' },
+    { value: 'envelope', label: 'Enveloppe' }
+];
+
+// Analyse lue par une route : le mixage, ou l'un des stems chargés (voir
+// stems.js). Sans ce stem, la route lit le mixage.
+export const MODULATION_STEMS = [
+    { value: 'mix', label: 'Mixage' },
+    ...STEMS.map(({ value, label }) => ({ value, label }))
+];
+
+// Réglages de la courbe d'une route
+export const CURVE_PARAMS = [
+    { key: 'amount', label: 'Quantité', min: -1, max: 1, step: 0.01, default: 0.5 },
+    { key: 'offset', label: 'Décalage', min: -1, max: 1, step: 0.01, default: 0 },
+    { key: 'exponent', label: 'Exposant', min: 0.2, max: 4, step: 0.05, default: 1 },
+    { key: 'attack', label: 'Attaque (s)', min: 0, max: 2, step: 0.01, default: 0.01 },
+    { key: 'release', label: 'Relâchement (s)', min: 0, max: 2, step: 0.01, default: 0.2 },
+    { key: 'invert', label: 'Inverser', type: 'toggle', default: false },
+    // Fréquence du LFO, ou vitesse de décroissance de l'enveloppe
+    { key: 'rate', label: 'Fréquence (Hz)', min: 0.05, max: 10, step: 0.05, default: 1 }
+];
+
+// Le flux spectral moyen dépasse rarement 0.1 : on le ramène vers [0, 1]
+const FLUX_SCALE = 10;
+
+// Paramètres numériques d'un schéma qui peuvent être modulés
+export function getModulationTargets(schema) {
+    return schema.filter(param => !param.type && param.modulatable !== false);
+}
+
+export function createRoute(source, target, stem = 'mix') {
+    const route = { source, stem, target };
+    for (const param of CURVE_PARAMS) {
+        route[param.key] = param.default;
+    }
+    return route;
+}
+
+// Routes valides pour un schéma donné (préréglages importés ou modifiés à la main)
+export function sanitizeRoutes(routes, schema) {
+    if (!Array.isArray(routes)) return [];
+    const targets = getModulationTargets(schema).map(param => param.key);
+    const sources = MODULATION_SOURCES.map(source => source.value);
+    const stems = MODULATION_STEMS.map(stem => stem.value);
+    return routes
+        .filter(route => route && sources.includes(route.source) && targets.includes(route.target))
+        .map(route => ({
+            ...createRoute(route.source, route.target, stems.includes(route.stem) ? route.stem : 'mix'),
+            ...sanitizeParams(CURVE_PARAMS, route)
+        }));
+}
+
+export class ModulationMatrix {
+    constructor(schema, routes = []) {
+        this.schema = schema;
+        this.routes = [];
+        this.states = [];
+        this.setRoutes(routes);
+    }
+
+    getRoutes() {
+        return this.routes.map(route => ({ ...route }));
+    }
+
+    setRoutes(routes) {
+        this.routes = sanitizeRoutes(routes, this.schema);
+        this.reset();
+    }
+
+    addRoute(source = MODULATION_SOURCES[0].value, target) {
+        const targets = getModulationTargets(this.schema);
+        if (!targets.length) return;
+        this.routes.push(createRoute(source, target || targets[0].key));
+        this.states.push(this.createState());
+    }
+
+    removeRoute(index) {
+        this.routes.splice(index, 1);
+        this.states.splice(index, 1);
+    }
+
+    updateRoute(index, key, value) {
+        const route = this.routes[index];
+        if (!route) return;
+        const [sanitized] = sanitizeRoutes([{ ...route, [key]: value }], this.schema);
+        if (sanitized) this.routes[index] = sanitized;
+    }
+
+    createState() {
+        return { value: 0, phase: 0, envelope: 0 };
+    }
+
+    reset() {
+        this.states = this.routes.map(() => this.createState());
+    }
+
+    // Valeur brute de la source dans [0, 1]
+    readSource(route, state, analysis, dt) {
+        if (route.stem !== 'mix' && analysis.stems && analysis.stems[route.stem]) {
+            analysis = analysis.stems[route.stem];
+        }
+        const bands = analysis.bands;
+        switch (route.source) {
+            case 'intensity':
+                return analysis.intensity;
+            case 'rms':
+                return analysis.rms;
+            case 'flux':
+                return analysis.spectralFlux * FLUX_SCALE;
+            case 'onset':
+                return analysis.onset ? 1 : 0;
+            case 'kick':
+                return bands.subBass.onset || bands.bass.onset ? 1 : 0;
+            case 'beat':
+                return analysis.beat.isBeat ? 1 : 0;
+            case 'beatPhase':
+                return analysis.beat.phase;
+            case 'lfo':
+                state.phase = (state.phase + dt * route.rate) % 1;
+                return 0.5 - 0.5 * Math.cos(state.phase * Math.PI * 2);
+            case 'envelope':
+                // Relancée à chaque attaque, puis décroissance exponentielle
+                state.envelope = analysis.onset ? 1 : state.envelope * Math.exp(-dt * route.rate);
+                return state.envelope;
+            default:
+                return bands[route.source] ? bands[route.source].intensity : 0;
+        }
+    }
+
+    // Calcule les valeurs modulées à partir des réglages de base du visualiseur
+    // et les lui applique (dt en secondes)
+    process(analysis, dt, visualizer) {
+        const base = visualizer.getParams();
+        const values = {};
+
+        this.routes.forEach((route, index) => {
+            const state = this.states[index];
+            let value = Math.max(0, Math.min(1, this.readSource(route, state, analysis, dt) || 0));
+            if (route.invert) value = 1 - value;
+            value = Math.pow(value, route.exponent);
+
+            // Lissage attaque / relâchement (constantes de temps en secondes)
+            const time = value > state.value ? route.attack : route.release;
+            state.value += (value - state.value) * (time > 0 ? 1 - Math.exp(-dt / time) : 1);
+
+            const param = this.schema.find(entry => entry.key === route.target);
+            const modulation = (route.offset + route.amount * state.value) * (param.max - param.min);
+            values[route.target] = (values[route.target] ?? base[route.target]) + modulation;
+        });
+
+        for (const [key, value] of Object.entries(values)) {
+            const param = this.schema.find(entry => entry.key === key);
+            values[key] = Math.max(param.min, Math.min(param.max, value));
+        }
+        visualizer.applyModulation(values);
+    }
+}
@@ -0,0 +1,82 @@
+import { fft, blackmanWindow } from './fft.js';
+
+// Réplique logicielle d'un AnalyserNode : mêmes fenêtre, lissage temporel et
+// conversion en octets, mais pilotée par une position dans un AudioBuffer
+// plutôt que par l'horloge du contexte audio
+export class OfflineAnalyser {
+    constructor(audioBuffer, options = {}) {
+        this.sampleRate = audioBuffer.sampleRate;
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0.85;
+        this.minDecibels = options.minDecibels ?? -100;
+        this.maxDecibels = options.maxDecibels ?? -30;
+        this.frequencyBinCount = this.fftSize / 2;
+
+        this.samples = OfflineAnalyser.downmix(audioBuffer);
+        this.window = blackmanWindow(this.fftSize);
+        this.real = new Float32Array(this.fftSize);
+        this.imag = new Float32Array(this.fftSize);
+        this.smoothed = new Float32Array(this.frequencyBinCount);
+        this.dataArray = new Uint8Array(this.frequencyBinCount);
+        this.waveformArray = new Uint8Array(this.fftSize).fill(128);
+    }
+
+    // Mixage mono identique au down-mix "speakers" de l'AnalyserNode
+    static downmix(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        if (channels === 1) return audioBuffer.getChannelData(0);
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / channels;
+            }
+        }
+        return mono;
+    }
+
+    reset() {
+        this.smoothed.fill(0);
+        this.dataArray.fill(0);
+        this.waveformArray.fill(128);
+    }
+
+    // Analyse la fenêtre de fftSize échantillons qui se termine à `time` (secondes)
+    analyseAt(time) {
+        const end = Math.round(time * this.sampleRate);
+        const start = end - this.fftSize;
+
+        for (let i = 0; i < this.fftSize; i++) {
+            const index = start + i;
+            const sample = index >= 0 && index < this.samples.length ? this.samples[index] : 0;
+            this.waveformArray[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + sample))));
+            this.real[i] = sample * this.window[i];
+            this.imag[i] = 0;
+        }
+
+        fft(this.real, this.imag);
+
+        const tau = this.smoothingTimeConstant;
+        const rangeScale = 255 / (this.maxDecibels - this.minDecibels);
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.fftSize;
+            this.smoothed[k] = tau * this.smoothed[k] + (1 - tau) * magnitude;
+
+            const decibels = 20 * Math.log10(this.smoothed[k]);
+            const byte = Math.floor(rangeScale * (decibels - this.minDecibels));
+            this.dataArray[k] = Math.max(0, Math.min(255, byte));
+        }
+
+        return this.dataArray;
+    }
+
+    // Forme d'onde de la dernière fenêtre analysée, comme getByteTimeDomainData()
+    getWaveform() {
+        return this.waveformArray;
+    }
+
+    getByteFrequencyData(array) {
+        array.set(this.dataArray.subarray(0, array.length));
+    }
+}
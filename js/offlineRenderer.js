@@ -0,0 +1,186 @@
+import { WebMMuxer } from './webmMuxer.js';
+import { FrameRenderer } from './frameRenderer.js';
+
+// Codecs essayés dans l'ordre pour l'encodage hors ligne
+const VIDEO_CODECS = [
+    { config: 'vp09.00.10.08', container: 'V_VP9' },
+    { config: 'vp8', container: 'V_VP8' }
+];
+const AUDIO_SAMPLE_RATE = 48000; // Opus n'accepte que certaines fréquences
+const AUDIO_CHUNK_FRAMES = 4800; // 100 ms par AudioData
+const KEYFRAME_INTERVAL = 2; // secondes
+const MAX_ENCODE_QUEUE = 8;
+
+// Rendu image par image, indépendant de requestAnimationFrame et de la lecture :
+// l'analyse, la simulation et l'encodage avancent au rythme du calcul, plus
+// vite ou plus lentement que le temps réel, et donnent toujours le même fichier
+export class OfflineRenderer {
+    constructor(audioSystem, options = {}) {
+        this.audioSystem = audioSystem;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.audioBitsPerSecond = options.audioBitsPerSecond || 192000;
+        this.isRendering = false;
+        this.cancelled = false;
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof AudioEncoder !== 'undefined';
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    async selectVideoCodec(width, height, fps) {
+        for (const codec of VIDEO_CODECS) {
+            const config = {
+                codec: codec.config,
+                width,
+                height,
+                bitrate: this.videoBitsPerSecond,
+                framerate: fps,
+                latencyMode: 'quality'
+            };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return { config, container: codec.container };
+        }
+        throw new Error('Aucun codec vidéo WebCodecs disponible');
+    }
+
+    // Rééchantillonne la piste à 48 kHz avec le même gain que la sortie temps réel
+    async renderAudio(audioBuffer) {
+        const channels = Math.min(2, audioBuffer.numberOfChannels);
+        const length = Math.ceil(audioBuffer.duration * AUDIO_SAMPLE_RATE);
+        const context = new OfflineAudioContext(channels, length, AUDIO_SAMPLE_RATE);
+
+        const source = context.createBufferSource();
+        const gain = context.createGain();
+        source.buffer = audioBuffer;
+        gain.gain.value = this.audioSystem.gainNode.gain.value;
+        source.connect(gain);
+        gain.connect(context.destination);
+        source.start(0);
+
+        return context.startRendering();
+    }
+
+    async encodeAudio(audioBuffer, muxer) {
+        const rendered = await this.renderAudio(audioBuffer);
+        const channels = rendered.numberOfChannels;
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+            error: (e) => console.error('Erreur d\'encodage audio:', e)
+        });
+        encoder.configure({
+            codec: 'opus',
+            sampleRate: AUDIO_SAMPLE_RATE,
+            numberOfChannels: channels,
+            bitrate: this.audioBitsPerSecond
+        });
+
+        for (let offset = 0; offset < rendered.length; offset += AUDIO_CHUNK_FRAMES) {
+            const frames = Math.min(AUDIO_CHUNK_FRAMES, rendered.length - offset);
+            const planar = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                planar.set(rendered.getChannelData(c).subarray(offset, offset + frames), c * frames);
+            }
+
+            const data = new AudioData({
+                format: 'f32-planar',
+                sampleRate: AUDIO_SAMPLE_RATE,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(offset / AUDIO_SAMPLE_RATE * 1e6),
+                data: planar
+            });
+            encoder.encode(data);
+            data.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+        return { sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: channels };
+    }
+
+    async render({ sceneId, params, modulation, automation, renderer, effects, background, overlay, lyrics, analysisData, videoBitsPerSecond, fps = 30, seed = 1, width, height, onProgress = () => {} } = {}) {
+        const audioBuffer = this.audioSystem.audioBuffer;
+        if (!audioBuffer || this.isRendering) return null;
+
+        this.isRendering = true;
+        this.cancelled = false;
+        if (videoBitsPerSecond) this.videoBitsPerSecond = videoBitsPerSecond;
+
+        // Les encodeurs vidéo exigent des dimensions paires
+        width = Math.floor(width / 2) * 2;
+        height = Math.floor(height / 2) * 2;
+
+        let videoEncoder = null;
+        let frames = null;
+        try {
+            const codec = await this.selectVideoCodec(width, height, fps);
+
+            frames = new FrameRenderer(audioBuffer, {
+                width, height, sceneId, params, modulation, automation, renderer, effects,
+                background, overlay, lyrics, analysisData, seed,
+                analyserOptions: this.audioSystem.getAnalyserOptions(),
+                normalizer: this.audioSystem.normalizer.clone(),
+                stems: this.audioSystem.stems.map(stem => ({
+                    name: stem.name,
+                    buffer: stem.buffer,
+                    normalizer: stem.normalizer.clone()
+                }))
+            });
+
+            const muxer = new WebMMuxer({
+                video: { codec: codec.container, width, height, frameRate: fps },
+                audio: { codec: 'A_OPUS', sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: Math.min(2, audioBuffer.numberOfChannels) }
+            });
+
+            let encodeError = null;
+            videoEncoder = new VideoEncoder({
+                output: (chunk) => muxer.addVideoChunk(chunk),
+                error: (e) => { encodeError = e; }
+            });
+            videoEncoder.configure(codec.config);
+
+            const totalFrames = Math.ceil(audioBuffer.duration * fps);
+            const frameDuration = 1e6 / fps;
+
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (this.cancelled) return null;
+                if (encodeError) throw encodeError;
+
+                const frameCanvas = await frames.render(frame / fps, 1 / fps);
+
+                const videoFrame = new VideoFrame(frameCanvas, {
+                    timestamp: Math.round(frame * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                videoEncoder.encode(videoFrame, { keyFrame: frame % (fps * KEYFRAME_INTERVAL) === 0 });
+                videoFrame.close();
+
+                // Laisser l'encodeur respirer pour ne pas saturer la mémoire
+                while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                onProgress((frame + 1) / totalFrames);
+            }
+
+            await videoEncoder.flush();
+            if (encodeError) throw encodeError;
+
+            await this.encodeAudio(audioBuffer, muxer);
+            if (this.cancelled) return null;
+
+            return muxer.finalize();
+        } finally {
+            if (videoEncoder && videoEncoder.state !== 'closed') {
+                videoEncoder.close();
+            }
+            if (frames) frames.dispose();
+            if (background) background.resume();
+            this.isRendering = false;
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// Pont OSC par WebSocket : un navigateur ne reçoit pas d'UDP, server.py
+// (lancé avec --osc) relaie tels quels les paquets d'un contrôleur local
+// comme TouchOSC. Émet 'control' avec { input, value, label } pour chaque
+// message ('osc:/1/fader1', premier argument ramené dans [0, 1], 1 sans
+// argument) et 'status' à chaque changement de connexion.
+const RECONNECT_DELAY = 2000; // ms
+
+function readString(view, offset) {
+    let end = offset;
+    while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+    const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+    // Chaînes terminées par un zéro et complétées à un multiple de 4 octets
+    return { text, next: (end + 4) & ~3 };
+}
+
+function parseMessage(view) {
+    const address = readString(view, 0);
+    if (!address.text.startsWith('/')) return null;
+    const args = [];
+    if (address.next >= view.byteLength) return { address: address.text, args };
+
+    const tags = readString(view, address.next);
+    let offset = tags.next;
+    for (const tag of tags.text.slice(1)) {
+        if (tag === 'i') {
+            args.push(view.getInt32(offset));
+            offset += 4;
+        } else if (tag === 'f') {
+            args.push(view.getFloat32(offset));
+            offset += 4;
+        } else if (tag === 'h') {
+            args.push(Number(view.getBigInt64(offset)));
+            offset += 8;
+        } else if (tag === 'd') {
+            args.push(view.getFloat64(offset));
+            offset += 8;
+        } else if (tag === 's' || tag === 'S') {
+            const string = readString(view, offset);
+            args.push(string.text);
+            offset = string.next;
+        } else if (tag === 'b') {
+            const size = view.getInt32(offset);
+            args.push(new Uint8Array(view.buffer, view.byteOffset + offset + 4, size));
+            offset += 4 + ((size + 3) & ~3);
+        } else if (tag === 'T' || tag === 'F') {
+            args.push(tag === 'T');
+        } else if (tag === 'N' || tag === 'I') {
+            args.push(null);
+        } else {
+            // Type inconnu : la taille des arguments suivants l'est aussi
+            break;
+        }
+    }
+    return { address: address.text, args };
+}
+
+// Messages { address, args } d'un paquet OSC, lots (#bundle) compris
+export function parseOscPacket(buffer) {
+    const view = buffer instanceof DataView ? buffer : new DataView(buffer);
+    const head = readString(view, 0);
+    if (head.text !== '#bundle') {
+        const message = parseMessage(view);
+        return message ? [message] : [];
+    }
+
+    // Étiquette de temps ignorée : les lots sont appliqués à réception
+    const messages = [];
+    let offset = head.next + 8;
+    while (offset + 4 <= view.byteLength) {
+        const size = view.getInt32(offset);
+        if (size <= 0 || offset + 4 + size > view.byteLength) break;
+        messages.push(...parseOscPacket(new DataView(view.buffer, view.byteOffset + offset + 4, size)));
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+export class OscInput extends EventTarget {
+    constructor() {
+        super();
+        this.url = '';
+        this.socket = null;
+        this.status = 'off'; // 'off', 'connecting', 'open' ou 'closed' (nouvel essai à venir)
+        this.retryTimer = null;
+    }
+
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.open();
+    }
+
+    open() {
+        this.setStatus('connecting');
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Adresse du pont OSC invalide:', error);
+            this.setStatus('off');
+            return;
+        }
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => this.setStatus('open');
+        socket.onmessage = (event) => {
+            if (event.data instanceof ArrayBuffer) this.handlePacket(event.data);
+        };
+        // Serveur absent ou arrêté : nouvel essai tant que le pont est activé
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.setStatus('closed');
+            this.retryTimer = setTimeout(() => this.open(), RECONNECT_DELAY);
+        };
+        this.socket = socket;
+    }
+
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setStatus('off');
+    }
+
+    isEnabled() {
+        return this.status !== 'off';
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.dispatchEvent(new Event('status'));
+    }
+
+    handlePacket(buffer) {
+        let messages;
+        try {
+            messages = parseOscPacket(buffer);
+        } catch (error) {
+            console.warn('Paquet OSC illisible, ignoré:', error);
+            return;
+        }
+        for (const { address, args } of messages) {
+            const arg = args.find(value => typeof value === 'number' || typeof value === 'boolean');
+            const value = arg === undefined ? 1 : Math.max(0, Math.min(1, Number(arg)));
+            this.dispatchEvent(new CustomEvent('control', { detail: { input: `osc:${address}`, value, label: address } }));
+        }
+    }
+}
@@ -0,0 +1,81 @@
+import { Visualizer } from './visualizer.js';
+import { PALETTE_PARAMS, samplePalette, mixColors, rgba } from './palettes.js';
+
+// Oscilloscope : tracé de la forme d'onde sur toute la largeur, avec une lueur
+// et une épaisseur qui suivent les basses
+export class OscilloscopeVisualizer extends Visualizer {
+    static params = [
+        { key: 'amplitude', label: 'Amplitude', min: 0.1, max: 3, step: 0.05, default: 1 },
+        { key: 'lineWidth', label: 'Épaisseur', min: 1, max: 10, step: 0.5, default: 2 },
+        { key: 'glow', label: 'Lueur', min: 0, max: 50, step: 1, default: 15 },
+        ...PALETTE_PARAMS
+    ];
+
+    constructor(canvas, options = {}) {
+        super(canvas, options);
+        
+        this.samples = new Float32Array(0);
+        this.energyLevels = { bass: 0, highs: 0 };
+    }
+
+    update(analysis) {
+        const { bass, highs } = analysis.bands;
+        
+        this.energyLevels = {
+            bass: this.lerp(this.energyLevels.bass, bass.intensity, 0.25),
+            highs: this.lerp(this.energyLevels.highs, highs.intensity, 0.1)
+        };
+        
+        // Copie normalisée entre -1 et 1 (le tableau source est réutilisé)
+        const waveform = analysis.waveform;
+        if (!waveform) return;
+        if (this.samples.length !== waveform.length) {
+            this.samples = new Float32Array(waveform.length);
+        }
+        for (let i = 0; i < waveform.length; i++) {
+            this.samples[i] = (waveform[i] - 128) / 128;
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.samples.length < 2) return;
+        
+        const scale = this.canvas.height * 0.35 * this.amplitude * (1 + this.energyLevels.bass * 0.5);
+        const step = this.canvas.width / (this.samples.length - 1);
+        
+        this.ctx.save();
+        this.ctx.lineWidth = this.lineWidth * (1 + this.energyLevels.bass);
+        this.ctx.lineJoin = 'round';
+        const palette = this.getPalette();
+        if (palette) {
+            const color = samplePalette(palette, this.energyLevels.highs);
+            this.ctx.strokeStyle = rgba(mixColors(color, [255, 255, 255], 0.3));
+            this.ctx.shadowColor = rgba(color);
+        } else {
+            const hue = 180 + this.energyLevels.highs * 120;
+            this.ctx.strokeStyle = `hsl(${hue}, 100%, 65%)`;
+            this.ctx.shadowColor = `hsl(${hue}, 100%, 50%)`;
+        }
+        this.ctx.shadowBlur = this.glow;
+        
+        this.ctx.beginPath();
+        for (let i = 0; i < this.samples.length; i++) {
+            const x = i * step;
+            const y = this.centerY + this.samples[i] * scale;
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    reset() {
+        this.samples.fill(0);
+        this.energyLevels = { bass: 0, highs: 0 };
+        super.reset();
+    }
+}
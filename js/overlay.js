@@ -0,0 +1,195 @@
+import { getParamValue, setParamValue, sanitizeParams } from './params.js';
+
+// Habillage dessiné par-dessus la scène : titre, artiste, pochette, barre de
+// progression et filigrane. Les tailles sont exprimées en pourcentage de la
+// hauteur de l'image, pour un rendu identique quelle que soit la résolution
+// d'export (aperçu, Play & Record et rendu hors ligne).
+const POSITIONS = [
+    { value: 'bottomLeft', label: 'En bas à gauche' },
+    { value: 'bottomCenter', label: 'En bas au centre' },
+    { value: 'bottomRight', label: 'En bas à droite' },
+    { value: 'topLeft', label: 'En haut à gauche' },
+    { value: 'topRight', label: 'En haut à droite' },
+    { value: 'center', label: 'Au centre' }
+];
+
+export const FONTS = ['Arial', 'Helvetica', 'Georgia', 'Trebuchet MS', 'Impact', 'Courier New'];
+
+const MARGIN = 5; // % de la hauteur
+
+export class Overlay {
+    // Style de l'habillage, enregistré dans les préréglages
+    static params = [
+        { key: 'showText', label: 'Titre et artiste', type: 'toggle', default: true },
+        { key: 'position', label: 'Position', type: 'select', options: POSITIONS, default: 'bottomLeft' },
+        { key: 'font', label: 'Police', type: 'select', options: FONTS, default: 'Arial' },
+        { key: 'titleSize', label: 'Taille du titre (%)', min: 1, max: 15, step: 0.5, default: 5 },
+        { key: 'artistSize', label: 'Taille de l\'artiste (%)', min: 1, max: 10, step: 0.5, default: 3.5 },
+        { key: 'textColor', label: 'Couleur du texte', type: 'color', default: '#ffffff' },
+        { key: 'showCover', label: 'Pochette', type: 'toggle', default: true },
+        { key: 'coverSize', label: 'Taille de la pochette (%)', min: 5, max: 50, step: 1, default: 14 },
+        { key: 'textStart', label: 'Apparition (s)', min: 0, max: 60, step: 0.5, default: 1 },
+        { key: 'textDuration', label: 'Durée d\'affichage (s, 0 = jusqu\'à la fin)', min: 0, max: 120, step: 1, default: 0 },
+        { key: 'fadeDuration', label: 'Fondu (s)', min: 0, max: 5, step: 0.1, default: 1 },
+        { key: 'showProgress', label: 'Barre de progression', type: 'toggle', default: false },
+        { key: 'progressHeight', label: 'Épaisseur de la barre (%)', min: 0.2, max: 3, step: 0.1, default: 0.6 },
+        { key: 'progressColor', label: 'Couleur de la barre', type: 'color', default: '#ffffff' },
+        { key: 'watermark', label: 'Filigrane', type: 'text', default: '' },
+        { key: 'watermarkOpacity', label: 'Opacité du filigrane', min: 0, max: 1, step: 0.05, default: 0.5 }
+    ];
+
+    // Contenu propre au morceau, rempli depuis les balises du fichier
+    static trackParams = [
+        { key: 'title', label: 'Titre', type: 'text', default: '' },
+        { key: 'artist', label: 'Artiste', type: 'text', default: '' }
+    ];
+
+    constructor(params) {
+        for (const param of [...Overlay.params, ...Overlay.trackParams]) {
+            setParamValue(this, param.key, param.default);
+        }
+        this.setParams(params);
+        this.cover = null;
+    }
+
+    getParams() {
+        const values = {};
+        for (const param of Overlay.params) {
+            values[param.key] = getParamValue(this, param.key);
+        }
+        return values;
+    }
+
+    getTrackParams() {
+        return { title: this.title, artist: this.artist };
+    }
+
+    setParam(key, value) {
+        setParamValue(this, key, value);
+    }
+
+    setParams(values) {
+        const schema = [...Overlay.params, ...Overlay.trackParams];
+        for (const [key, value] of Object.entries(sanitizeParams(schema, values))) {
+            this.setParam(key, value);
+        }
+    }
+
+    // Métadonnées lues par readMetadata() ; la pochette est décodée une fois
+    async setMetadata({ title = '', artist = '', picture = null }) {
+        this.title = title;
+        this.artist = artist;
+        await this.setCover(picture);
+    }
+
+    async setCover(blob) {
+        if (this.cover && this.cover.close) this.cover.close();
+        this.cover = null;
+        if (!blob) return;
+        try {
+            this.cover = await createImageBitmap(blob);
+        } catch (error) {
+            console.error('Erreur lors du décodage de la pochette:', error);
+        }
+    }
+
+    // Opacité du bloc titre : fondu d'entrée à textStart, fondu de sortie à la
+    // fin de la durée d'affichage (ou du morceau)
+    getTextAlpha(time, duration) {
+        const end = this.textDuration > 0
+            ? this.textStart + this.textDuration
+            : (duration > 0 ? duration : Infinity);
+        if (time < this.textStart || time > end) return 0;
+        if (this.fadeDuration <= 0) return 1;
+        return Math.min(1, (time - this.textStart) / this.fadeDuration, (end - time) / this.fadeDuration);
+    }
+
+    // time, duration : position et durée de la piste en secondes (0 si inconnue)
+    draw(ctx, time, duration) {
+        const { width, height } = ctx.canvas;
+        const unit = height / 100;
+        ctx.save();
+
+        const alpha = this.getTextAlpha(time, duration);
+        if (alpha > 0) {
+            ctx.globalAlpha = alpha;
+            this.drawTitleBlock(ctx, width, height, unit);
+        }
+
+        if (this.showProgress && duration > 0) {
+            const barHeight = Math.max(1, this.progressHeight * unit);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = this.progressColor;
+            ctx.fillRect(0, height - barHeight, width * Math.min(1, time / duration), barHeight);
+        }
+
+        if (this.watermark && this.watermarkOpacity > 0) {
+            // Coin opposé au bloc titre
+            const top = !this.position.startsWith('top');
+            const right = !this.position.endsWith('Right');
+            ctx.globalAlpha = this.watermarkOpacity;
+            ctx.fillStyle = this.textColor;
+            ctx.font = `${2.5 * unit}px ${this.font}`;
+            ctx.textAlign = right ? 'right' : 'left';
+            ctx.textBaseline = top ? 'top' : 'bottom';
+            ctx.fillText(
+                this.watermark,
+                right ? width - MARGIN * unit : MARGIN * unit,
+                top ? MARGIN * unit : height - MARGIN * unit
+            );
+        }
+
+        ctx.restore();
+    }
+
+    drawTitleBlock(ctx, width, height, unit) {
+        const lines = [];
+        if (this.showText && this.title) {
+            lines.push({ text: this.title, size: this.titleSize * unit, weight: 'bold' });
+        }
+        if (this.showText && this.artist) {
+            lines.push({ text: this.artist, size: this.artistSize * unit, weight: 'normal' });
+        }
+        const cover = this.showCover ? this.cover : null;
+        if (!lines.length && !cover) return;
+
+        // Dimensions du bloc : pochette à gauche, lignes de texte à droite
+        const coverSize = cover ? this.coverSize * unit : 0;
+        const gap = cover && lines.length ? 2 * unit : 0;
+        let textWidth = 0;
+        let textHeight = 0;
+        for (const line of lines) {
+            ctx.font = `${line.weight} ${line.size}px ${this.font}`;
+            textWidth = Math.max(textWidth, ctx.measureText(line.text).width);
+            textHeight += line.size * 1.25;
+        }
+        const blockWidth = coverSize + gap + textWidth;
+        const blockHeight = Math.max(coverSize, textHeight);
+
+        const margin = MARGIN * unit;
+        let x;
+        if (this.position.endsWith('Left')) x = margin;
+        else if (this.position.endsWith('Right')) x = width - margin - blockWidth;
+        else x = (width - blockWidth) / 2;
+        let y;
+        if (this.position.startsWith('top')) y = margin;
+        else if (this.position.startsWith('bottom')) y = height - margin - blockHeight;
+        else y = (height - blockHeight) / 2;
+
+        if (cover) {
+            ctx.drawImage(cover, x, y + (blockHeight - coverSize) / 2, coverSize, coverSize);
+        }
+
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = unit;
+        let lineY = y + (blockHeight - textHeight) / 2;
+        for (const line of lines) {
+            ctx.font = `${line.weight} ${line.size}px ${this.font}`;
+            ctx.fillText(line.text, x + coverSize + gap, lineY + line.size * 0.1);
+            lineY += line.size * 1.25;
+        }
+    }
+}
@@ -0,0 +1,112 @@
+// Palettes de couleurs des scènes : dégradés nommés, liste hexadécimale
+// personnalisée ou extraite d'une image. Une palette est une suite de couleurs
+// [r, g, b] réparties régulièrement entre 0 et 1 ; la scène y choisit sa
+// couleur selon l'énergie. 'hue' garde la teinte propre à chaque scène.
+export const PALETTES = [
+    { value: 'hue', label: 'Teinte de la scène' },
+    { value: 'ocean', label: 'Océan', colors: ['#001f3f', '#0074d9', '#39cccc', '#7fdbff'] },
+    { value: 'fire', label: 'Feu', colors: ['#3a0000', '#b22222', '#ff4500', '#ffa500', '#ffff66'] },
+    { value: 'neon', label: 'Néon', colors: ['#ff00ff', '#00ffff', '#39ff14'] },
+    { value: 'sunset', label: 'Coucher de soleil', colors: ['#2d1b69', '#b2275f', '#f26b38', '#ffd166'] },
+    { value: 'forest', label: 'Forêt', colors: ['#0b3d20', '#2e8b57', '#9acd32', '#f0e68c'] },
+    { value: 'vaporwave', label: 'Vaporwave', colors: ['#b967ff', '#ff71ce', '#01cdfe', '#05ffa1'] },
+    { value: 'mono', label: 'Monochrome', colors: ['#303030', '#ffffff'] },
+    { value: 'custom', label: 'Personnalisée' }
+];
+
+// Réglages communs, ajoutés au schéma de chaque scène
+export const PALETTE_PARAMS = [
+    { key: 'palette', label: 'Palette', type: 'select', options: PALETTES.map(({ value, label }) => ({ value, label })), default: 'hue' },
+    { key: 'customPalette', label: 'Couleurs personnalisées', type: 'text', default: '#ff0080, #00e5ff' }
+];
+
+export function parseHexList(text) {
+    return (text.match(/#?\b[0-9a-f]{6}\b/gi) || []).map(hex => {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [value >> 16, (value >> 8) & 0xFF, value & 0xFF];
+    });
+}
+
+export function toHex([r, g, b]) {
+    return `#${((1 << 24) | (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b)).toString(16).slice(1)}`;
+}
+
+// null pour 'hue' ou une palette personnalisée vide
+export function getPaletteColors(palette, customPalette = '') {
+    const colors = palette === 'custom'
+        ? parseHexList(customPalette)
+        : parseHexList((PALETTES.find(entry => entry.value === palette)?.colors || []).join(' '));
+    return colors.length ? colors : null;
+}
+
+export function mixColors(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+// Couleur à la position t (0 à 1) du dégradé
+export function samplePalette(colors, t) {
+    if (colors.length === 1) return colors[0];
+    const position = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+    const index = Math.min(colors.length - 2, Math.floor(position));
+    return mixColors(colors[index], colors[index + 1], position - index);
+}
+
+export function rgba([r, g, b], alpha = 1) {
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+}
+
+// Teinte en degrés, saturation et luminosité en pourcentages
+export function rgbToHsl([r, g, b]) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    if (max === min) return { hue: 0, saturation: 0, lightness: lightness * 100 };
+
+    const delta = max - min;
+    const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    let hue;
+    if (max === r) hue = ((g - b) / delta + 6) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+    return { hue: hue * 60, saturation: saturation * 100, lightness: lightness * 100 };
+}
+
+// Couleurs dominantes d'une image (ImageBitmap, image, canvas), du plus sombre
+// au plus clair : regroupement en cases de 16 niveaux par canal, puis les cases
+// les plus peuplées suffisamment éloignées les unes des autres
+export function extractPalette(image, count = 5) {
+    const size = 64;
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, size, size);
+    const { data } = ctx.getImageData(0, 0, size, size);
+
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        const key = (data[i] >> 4) << 8 | (data[i + 1] >> 4) << 4 | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += data[i];
+        bucket.g += data[i + 1];
+        bucket.b += data[i + 2];
+        buckets.set(key, bucket);
+    }
+
+    const candidates = [...buckets.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(bucket => [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count]);
+
+    const chosen = [];
+    for (const color of candidates) {
+        const distinct = chosen.every(other => Math.hypot(color[0] - other[0], color[1] - other[1], color[2] - other[2]) > 48);
+        if (distinct) chosen.push(color);
+        if (chosen.length === count) break;
+    }
+    return chosen
+        .sort((a, b) => rgbToHsl(a).lightness - rgbToHsl(b).lightness)
+        .map(toHex);
+}
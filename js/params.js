@@ -0,0 +1,51 @@
+// Schémas de paramètres réglables, partagés par les visualiseurs et l'AudioSystem.
+// Une entrée décrit un nombre { key, label, min, max, step, default }, une liste
+// { key, label, type: 'select', options, default } (options : valeurs simples ou
+// { value, label }), une case à cocher { key, label, type: 'toggle', default },
+// un texte { type: 'text' } ou une couleur '#rrggbb' { type: 'color' }.
+// Une clé pointée ('smoothingFactors.bass') désigne une propriété d'un objet
+// imbriqué. modulatable: false exclut un nombre de la modulation (modulation.js).
+
+export function optionValue(option) {
+    return typeof option === 'object' && option !== null ? option.value : option;
+}
+
+export function getParamValue(target, key) {
+    return key.split('.').reduce((object, part) => (object ? object[part] : undefined), target);
+}
+
+export function setParamValue(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let object = target;
+    for (const part of parts) {
+        if (typeof object[part] !== 'object' || object[part] === null) {
+            object[part] = {};
+        }
+        object = object[part];
+    }
+    object[last] = value;
+}
+
+// Ne garde que les clés du schéma, avec des valeurs valides et bornées
+// (protège contre les préréglages importés ou modifiés à la main)
+export function sanitizeParams(schema, values = {}) {
+    const sanitized = {};
+    for (const param of schema) {
+        const value = values[param.key];
+        if (value === undefined) continue;
+
+        if (param.type === 'select') {
+            if (param.options.some(option => optionValue(option) === value)) sanitized[param.key] = value;
+        } else if (param.type === 'toggle') {
+            if (typeof value === 'boolean') sanitized[param.key] = value;
+        } else if (param.type === 'text') {
+            if (typeof value === 'string') sanitized[param.key] = value;
+        } else if (param.type === 'color') {
+            if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) sanitized[param.key] = value;
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            sanitized[param.key] = Math.max(param.min, Math.min(param.max, value));
+        }
+    }
+    return sanitized;
+}
@@ -0,0 +1,267 @@
+// Moteurs de rendu des particules de la boule d'énergie. Les deux reçoivent le
+// même état (tableaux typés de la simulation) et le même style :
+// - WebGL2 : sprites instanciés et mélange additif, pour des dizaines de
+//   milliers de particules ;
+// - Canvas 2D : dégradé radial et disques par particule, triés en profondeur,
+//   utilisé quand WebGL2 n'est pas disponible.
+export const PARTICLE_RENDERERS = [
+    { value: 'auto', label: 'Automatique' },
+    { value: 'webgl', label: 'WebGL' },
+    { value: 'canvas2d', label: 'Canvas 2D' }
+];
+
+const VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 aCorner;
+layout(location = 1) in vec3 aInstance; // x, y, rayon du halo (px)
+uniform vec2 uResolution;
+out vec2 vOffset;
+
+void main() {
+    vOffset = aCorner;
+    vec2 clip = (aInstance.xy + aCorner * aInstance.z) / uResolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 vOffset;
+uniform vec3 uColor;
+uniform float uAlpha;
+uniform bool uParticle;
+out vec4 outColor;
+
+void main() {
+    float d = length(vOffset);
+    if (d > 1.0) discard;
+
+    float alpha;
+    if (uParticle) {
+        // Mêmes arrêts que le dégradé Canvas 2D, puis le cœur blanc (1/4 du halo)
+        if (d < 0.25) {
+            outColor = vec4(1.0);
+            return;
+        }
+        alpha = d < 0.4 ? mix(1.0, 0.3, d / 0.4) : mix(0.3, 0.0, (d - 0.4) / 0.6);
+    } else {
+        alpha = uAlpha * (1.0 - d);
+    }
+    outColor = vec4(uColor * alpha, alpha);
+}`;
+
+// Couleurs HSL (degrés, pourcentages) vers RGB dans [0, 1]
+function hslToRgb(hue, saturation, lightness) {
+    const s = Math.min(100, saturation) / 100;
+    const l = Math.min(100, lightness) / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+function compileProgram(gl) {
+    const program = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, VERTEX_SHADER], [gl.FRAGMENT_SHADER, FRAGMENT_SHADER]]) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(gl.getShaderInfoLog(shader));
+        }
+        gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program));
+    }
+    return program;
+}
+
+// Un canvas ne peut plus changer de type de contexte une fois créé : WebGL2 est
+// d'abord testé sur un canvas jetable
+let webglSupport = null;
+
+// Les navigateurs limitent le nombre de contextes WebGL vivants et abandonnent
+// les plus anciens sans prévenir : chaque contexte est rendu dès qu'il ne sert plus
+function loseContext(gl) {
+    const extension = gl.getExtension('WEBGL_lose_context');
+    if (extension) extension.loseContext();
+}
+
+export function isWebGLSupported() {
+    if (webglSupport === null) {
+        let gl = null;
+        try {
+            gl = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(1, 1).getContext('webgl2')
+                : null;
+            webglSupport = Boolean(gl) && Boolean(compileProgram(gl));
+        } catch (error) {
+            console.warn('WebGL2 indisponible, rendu Canvas 2D:', error);
+            webglSupport = false;
+        }
+        if (gl) loseContext(gl);
+    }
+    return webglSupport;
+}
+
+export function createParticleRenderer(canvas, preference = 'auto') {
+    if (preference !== 'canvas2d' && isWebGLSupported()) {
+        return new WebGLParticleRenderer(canvas);
+    }
+    return new Canvas2DParticleRenderer(canvas);
+}
+
+export class Canvas2DParticleRenderer {
+    constructor(canvas) {
+        this.type = 'canvas2d';
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.order = new Uint32Array(0);
+    }
+
+    dispose() {
+        // Rien à libérer : le canvas 2D suit le canvas
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    draw(particles, style) {
+        const ctx = this.ctx;
+        const { x, y, z, currentSize, count } = particles;
+        this.clear();
+
+        // Tri des particules par profondeur pour un rendu 3D correct
+        if (this.order.length !== count) {
+            this.order = new Uint32Array(count);
+        }
+        for (let i = 0; i < count; i++) this.order[i] = i;
+        this.order.sort((a, b) => z[b] - z[a]);
+
+        const color = `hsl(${style.hue}, ${style.saturation}%, ${style.lightness}%)`;
+        const halo = color.replace(')', ', 0.3)');
+        const edge = color.replace(')', ', 0)');
+
+        // Dessin des particules avec effet de lueur
+        for (const i of this.order) {
+            const radius = Math.max(0, currentSize[i]);
+            const gradient = ctx.createRadialGradient(x[i], y[i], 0, x[i], y[i], radius * 2);
+            gradient.addColorStop(0, color);
+            gradient.addColorStop(0.4, halo);
+            gradient.addColorStop(1, edge);
+
+            ctx.beginPath();
+            ctx.fillStyle = gradient;
+            ctx.arc(x[i], y[i], radius * 2, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Centre de la particule
+            ctx.beginPath();
+            ctx.fillStyle = 'white';
+            ctx.arc(x[i], y[i], radius * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Effet de lueur globale au centre
+        const glow = style.glow;
+        const centerGlow = ctx.createRadialGradient(glow.x, glow.y, 0, glow.x, glow.y, glow.radius);
+        centerGlow.addColorStop(0, `hsla(${glow.hue}, ${glow.saturation}%, ${glow.lightness}%, ${glow.alpha})`);
+        centerGlow.addColorStop(1, `hsla(${glow.hue}, ${glow.saturation}%, ${glow.lightness}%, 0)`);
+        ctx.fillStyle = centerGlow;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+}
+
+export class WebGLParticleRenderer {
+    constructor(canvas) {
+        this.type = 'webgl';
+        this.canvas = canvas;
+        this.ctx = null;
+        const gl = this.gl = canvas.getContext('webgl2', {
+            alpha: true,
+            antialias: false,
+            premultipliedAlpha: true,
+            preserveDrawingBuffer: true
+        });
+
+        this.program = compileProgram(gl);
+        this.uniforms = {
+            resolution: gl.getUniformLocation(this.program, 'uResolution'),
+            color: gl.getUniformLocation(this.program, 'uColor'),
+            alpha: gl.getUniformLocation(this.program, 'uAlpha'),
+            particle: gl.getUniformLocation(this.program, 'uParticle')
+        };
+
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+
+        // Coins d'un quad unitaire, partagés par toutes les instances
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        this.instanceBuffer = gl.createBuffer();
+        this.instances = new Float32Array(0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.enableVertexAttribArray(1);
+        gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 0, 0);
+        gl.vertexAttribDivisor(1, 1);
+        gl.bindVertexArray(null);
+    }
+
+    // Le renderer n'est plus utilisable ensuite
+    dispose() {
+        loseContext(this.gl);
+        this.gl = null;
+    }
+
+    clear() {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    draw(particles, style) {
+        const gl = this.gl;
+        const { x, y, currentSize, count } = particles;
+        this.clear();
+
+        if (this.instances.length < count * 3) {
+            this.instances = new Float32Array(count * 3);
+        }
+        for (let i = 0; i < count; i++) {
+            this.instances[i * 3] = x[i];
+            this.instances[i * 3 + 1] = y[i];
+            this.instances[i * 3 + 2] = Math.max(0, currentSize[i]) * 2;
+        }
+
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vao);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE); // mélange additif : pas besoin de tri
+        gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.instances.subarray(0, count * 3), gl.DYNAMIC_DRAW);
+        gl.uniform3fv(this.uniforms.color, hslToRgb(style.hue, style.saturation, style.lightness));
+        gl.uniform1i(this.uniforms.particle, 1);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+
+        // Lueur centrale : une seule instance, fixée hors du tampon
+        const glow = style.glow;
+        gl.disableVertexAttribArray(1);
+        gl.vertexAttrib3f(1, glow.x, glow.y, glow.radius);
+        gl.uniform3fv(this.uniforms.color, hslToRgb(glow.hue, glow.saturation, glow.lightness));
+        gl.uniform1f(this.uniforms.alpha, glow.alpha);
+        gl.uniform1i(this.uniforms.particle, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.enableVertexAttribArray(1);
+
+        gl.bindVertexArray(null);
+    }
+}
@@ -0,0 +1,54 @@
+// Boucle d'animation de la lecture, commune à l'application (main.js) et au
+// visualiseur intégrable (claimViz.js). onFrame(dt, firstFrame, now) est
+// appelé à chaque rafraîchissement ; dt : temps écoulé depuis l'image
+// précédente en secondes, nul à la première image après start().
+const MAX_FRAME_TIME = 0.1; // s, après un onglet en arrière-plan par exemple
+
+export class PlaybackLoop {
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.animationId = null;
+        this.lastFrameTime = 0;
+    }
+
+    start() {
+        if (this.animationId) return;
+        this.lastFrameTime = 0;
+        this.tick();
+    }
+
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.lastFrameTime = 0;
+    }
+
+    tick() {
+        this.animationId = requestAnimationFrame(() => this.tick());
+
+        const now = performance.now();
+        const firstFrame = !this.lastFrameTime;
+        const dt = firstFrame ? 0 : Math.min(MAX_FRAME_TIME, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+        this.onFrame(dt, firstFrame, now);
+    }
+}
+
+// Fin de piste ou lecture impossible : arrêter l'enregistrement éventuel et
+// revenir au début, puis onEnded(event) pour ce qui est propre à l'hôte
+// (event.type : 'ended' ou 'playbackerror'). host : { isRecording,
+// stopRecording(), isPlaying, loop }
+export function handlePlaybackEnd(audioSystem, host, onEnded) {
+    const stop = async (event) => {
+        if (host.isRecording) {
+            await host.stopRecording();
+        }
+        host.isPlaying = false;
+        host.loop.stop();
+        onEnded(event);
+    };
+    audioSystem.addEventListener('ended', stop);
+    audioSystem.addEventListener('playbackerror', stop);
+}
@@ -0,0 +1,147 @@
+// File de morceaux : lecture enchaînée sans blanc pour le live, et rendu par
+// lots (un fichier vidéo par morceau, même préréglage pour tous).
+// État de rendu d'un élément : idle, pending, rendering, done, error, cancelled
+const AUDIO_EXTENSIONS = /\.(mp3|wav|flac|ogg|oga|opus|m4a|aac|aiff?|weba)$/i;
+
+export function isAudioFile(file) {
+    return file.type.startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name);
+}
+
+function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+// Parcours récursif d'un dossier déposé ; readEntries rend les entrées par paquets
+async function readDirectory(entry) {
+    const reader = entry.createReader();
+    const files = [];
+    let entries;
+    do {
+        entries = await readEntries(reader);
+        for (const child of entries) {
+            files.push(...await readEntry(child));
+        }
+    } while (entries.length);
+    return files;
+}
+
+async function readEntry(entry) {
+    if (entry.isDirectory) return readDirectory(entry);
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [file];
+}
+
+// Fichiers audio d'un glisser-déposer (fichiers ou dossiers), dans l'ordre
+// naturel des noms (« 2 - … » avant « 10 - … ») pour respecter celui d'un album
+export async function collectAudioFiles(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    let files;
+    if (entries.length) {
+        files = [];
+        for (const entry of entries) {
+            try {
+                files.push(...await readEntry(entry));
+            } catch (error) {
+                console.warn('Entrée illisible:', error);
+            }
+        }
+    } else {
+        files = [...dataTransfer.files];
+    }
+
+    return files
+        .filter(isAudioFile)
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+let nextId = 1;
+
+// Émet 'change' à chaque modification de la liste ou d'un élément
+export class Playlist extends EventTarget {
+    constructor() {
+        super();
+        this.items = [];
+        this.current = -1; // morceau chargé dans le lecteur, -1 hors liste
+    }
+
+    notify() {
+        this.dispatchEvent(new Event('change'));
+    }
+
+    // Renvoie l'index du premier morceau ajouté
+    add(files) {
+        const index = this.items.length;
+        for (const file of files) {
+            this.items.push({
+                id: nextId++,
+                file,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                status: 'idle',
+                progress: 0,
+                error: ''
+            });
+        }
+        this.notify();
+        return index;
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index < 0) return;
+        this.items.splice(index, 1);
+        if (index < this.current) this.current--;
+        else if (index === this.current) this.current = -1;
+        this.notify();
+    }
+
+    clear() {
+        this.items = [];
+        this.current = -1;
+        this.notify();
+    }
+
+    setCurrent(index) {
+        this.current = index;
+        this.notify();
+    }
+
+    getNext() {
+        return this.current >= 0 ? this.items[this.current + 1] || null : null;
+    }
+
+    update(id, changes) {
+        const item = this.get(id);
+        if (!item) return;
+        Object.assign(item, changes);
+        this.notify();
+    }
+
+    // Remet un élément (ou tous) dans la file de rendu
+    queue(id = null) {
+        for (const item of this.items) {
+            if (id === null || item.id === id) {
+                Object.assign(item, { status: 'pending', progress: 0, error: '' });
+            }
+        }
+        this.notify();
+    }
+
+    // Les éléments encore en attente ne seront pas rendus
+    cancelPending() {
+        for (const item of this.items) {
+            if (item.status === 'pending') item.status = 'cancelled';
+        }
+        this.notify();
+    }
+
+    getPending() {
+        return this.items.find(item => item.status === 'pending') || null;
+    }
+}
@@ -0,0 +1,87 @@
+const STATUS_LABELS = {
+    idle: '',
+    pending: 'En attente',
+    rendering: 'Rendu',
+    done: 'Terminé',
+    error: 'Échec',
+    cancelled: 'Annulé'
+};
+
+// Liste des morceaux de la file : morceau en cours de lecture, état et
+// progression du rendu, relance des éléments en échec ou annulés
+export class PlaylistPanel {
+    constructor(container, { onPlay, onRemove, onRetry }) {
+        this.container = container;
+        this.onPlay = onPlay;
+        this.onRemove = onRemove;
+        this.onRetry = onRetry;
+        this.retryEnabled = true;
+    }
+
+    // La relance est impossible pendant la lecture : le rendu hors ligne
+    // attend que la lecture soit arrêtée
+    setRetryEnabled(enabled) {
+        this.retryEnabled = enabled;
+        for (const retry of this.container.querySelectorAll('.playlist-retry')) {
+            this.updateRetry(retry);
+        }
+    }
+
+    updateRetry(retry) {
+        retry.disabled = !this.retryEnabled;
+        retry.title = this.retryEnabled
+            ? 'Relancer le rendu'
+            : 'Mettez la lecture en pause pour relancer le rendu';
+    }
+
+    render(playlist) {
+        this.container.innerHTML = '';
+
+        if (!playlist.items.length) {
+            const empty = document.createElement('p');
+            empty.className = 'playlist-empty';
+            empty.textContent = 'Déposez des fichiers audio ou un dossier ici.';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        playlist.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = `playlist-item ${item.status}`;
+            if (index === playlist.current) row.classList.add('current');
+
+            const name = document.createElement('button');
+            name.className = 'playlist-name';
+            name.textContent = `${index + 1}. ${item.name}`;
+            name.title = 'Lire ce morceau';
+            name.addEventListener('click', () => this.onPlay(index));
+            row.appendChild(name);
+
+            const status = document.createElement('span');
+            status.className = 'playlist-status';
+            status.textContent = item.status === 'rendering'
+                ? `${STATUS_LABELS.rendering} ${Math.floor(item.progress * 100)} %`
+                : STATUS_LABELS[item.status];
+            if (item.error) status.title = item.error;
+            row.appendChild(status);
+
+            if (item.status === 'error' || item.status === 'cancelled') {
+                const retry = document.createElement('button');
+                retry.className = 'playlist-retry';
+                retry.textContent = '↻';
+                this.updateRetry(retry);
+                retry.addEventListener('click', () => this.onRetry(item.id));
+                row.appendChild(retry);
+            }
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Retirer de la liste';
+            remove.disabled = item.status === 'rendering';
+            remove.addEventListener('click', () => this.onRemove(item.id));
+            row.appendChild(remove);
+
+            this.container.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,302 @@
+import { createRandom } from './random.js';
+import { getParamValue, setParamValue, sanitizeParams } from './params.js';
+import { MODULATION_SOURCES } from './modulation.js';
+
+// Chaîne d'effets appliquée à l'image composée des scènes, avant l'habillage :
+// kaléidoscope, traînées (rétroaction), bloom, aberration chromatique, vignette
+// et grain, dans cet ordre. Chaque effet peut suivre une bande de l'analyse :
+// son intensité est alors multipliée par le niveau de la bande.
+const SOURCES = [
+    { value: 'none', label: 'Aucune' },
+    ...MODULATION_SOURCES.filter(source => ['subBass', 'bass', 'lowMids', 'highMids', 'highs', 'intensity', 'rms'].includes(source.value))
+];
+
+const GRAIN_SIZE = 256;
+const SEAM = 0.5; // px
+
+function sourceParam(effect) {
+    return { key: `${effect}.source`, label: 'Réagit à', type: 'select', options: SOURCES, default: 'none' };
+}
+
+export class PostProcessor {
+    static params = [
+        { key: 'kaleidoscope.enabled', label: 'Kaléidoscope', type: 'toggle', default: false },
+        { key: 'kaleidoscope.segments', label: 'Segments', type: 'select', options: [2, 4, 6, 8, 12], default: 6 },
+        { key: 'kaleidoscope.spin', label: 'Rotation (°/s)', min: -90, max: 90, step: 1, default: 10 },
+        sourceParam('kaleidoscope'),
+        { key: 'trails.enabled', label: 'Traînées', type: 'toggle', default: false },
+        { key: 'trails.decay', label: 'Persistance', min: 0.5, max: 0.98, step: 0.01, default: 0.85 },
+        { key: 'trails.zoom', label: 'Zoom de la rétroaction', min: 0.9, max: 1.1, step: 0.005, default: 1 },
+        { key: 'trails.rotation', label: 'Rotation de la rétroaction (°)', min: -5, max: 5, step: 0.1, default: 0 },
+        sourceParam('trails'),
+        { key: 'bloom.enabled', label: 'Bloom', type: 'toggle', default: false },
+        { key: 'bloom.intensity', label: 'Intensité du bloom', min: 0, max: 2, step: 0.05, default: 0.8 },
+        { key: 'bloom.radius', label: 'Rayon du bloom (%)', min: 0.2, max: 5, step: 0.1, default: 1.5 },
+        { key: 'bloom.threshold', label: 'Seuil du bloom', min: 0, max: 1, step: 0.05, default: 0.5 },
+        sourceParam('bloom'),
+        { key: 'chromatic.enabled', label: 'Aberration chromatique', type: 'toggle', default: false },
+        { key: 'chromatic.offset', label: 'Décalage des couleurs (%)', min: 0, max: 2, step: 0.05, default: 0.4 },
+        sourceParam('chromatic'),
+        { key: 'vignette.enabled', label: 'Vignette', type: 'toggle', default: false },
+        { key: 'vignette.amount', label: 'Force de la vignette', min: 0, max: 1, step: 0.05, default: 0.6 },
+        sourceParam('vignette'),
+        { key: 'grain.enabled', label: 'Grain', type: 'toggle', default: false },
+        { key: 'grain.amount', label: 'Force du grain', min: 0, max: 0.5, step: 0.01, default: 0.1 },
+        sourceParam('grain')
+    ];
+
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // Grain reproductible si une graine est fournie (rendu hors ligne)
+        this.random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+        for (const param of PostProcessor.params) {
+            setParamValue(this, param.key, param.default);
+        }
+        this.setParams(options.params);
+
+        this.buffers = {};
+        this.grainTile = null;
+        this.levels = {};
+        this.reset();
+    }
+
+    getParams() {
+        const values = {};
+        for (const param of PostProcessor.params) {
+            values[param.key] = getParamValue(this, param.key);
+        }
+        return values;
+    }
+
+    setParam(key, value) {
+        setParamValue(this, key, value);
+        // Traînées coupées : l'image rémanente ne doit pas réapparaître plus tard
+        if (key === 'trails.enabled') this.hasHistory = false;
+    }
+
+    setParams(values) {
+        for (const [key, value] of Object.entries(sanitizeParams(PostProcessor.params, values))) {
+            this.setParam(key, value);
+        }
+    }
+
+    reset() {
+        this.angle = 0;
+        this.hasHistory = false;
+        this.advanced = false;
+        this.levels = {};
+    }
+
+    // Niveau lissé de la source d'un effet, 1 sans source
+    drive(effect) {
+        const source = this[effect].source;
+        return source === 'none' ? 1 : this.levels[source] || 0;
+    }
+
+    update(analysis, dt) {
+        for (const { value } of SOURCES.slice(1)) {
+            const target = analysis.bands[value] ? analysis.bands[value].intensity : analysis[value];
+            const previous = this.levels[value] || 0;
+            this.levels[value] = previous + ((target || 0) - previous) * 0.3;
+        }
+        if (this.kaleidoscope.enabled) {
+            this.angle += this.kaleidoscope.spin * Math.PI / 180 * this.drive('kaleidoscope') * dt;
+        }
+        this.advanced = true;
+    }
+
+    // Canvas intermédiaire réutilisé d'une image à l'autre, à la taille demandée
+    getBuffer(name, width = this.canvas.width, height = this.canvas.height) {
+        let buffer = this.buffers[name];
+        if (!buffer || buffer.width !== width || buffer.height !== height) {
+            buffer = this.buffers[name] = new OffscreenCanvas(width, height);
+            if (name === 'history') this.hasHistory = false;
+        }
+        return buffer;
+    }
+
+    // Copie de l'image courante, source des effets qui la redessinent
+    copyFrame() {
+        const frame = this.getBuffer('frame');
+        const frameCtx = frame.getContext('2d');
+        frameCtx.clearRect(0, 0, frame.width, frame.height);
+        frameCtx.drawImage(this.canvas, 0, 0);
+        return frame;
+    }
+
+    process() {
+        if (this.kaleidoscope.enabled) this.applyKaleidoscope();
+        if (this.trails.enabled) this.applyTrails();
+        if (this.bloom.enabled) this.applyBloom();
+        if (this.chromatic.enabled) this.applyChromatic();
+        if (this.vignette.enabled) this.applyVignette();
+        if (this.grain.enabled) this.applyGrain();
+        this.advanced = false;
+    }
+
+    // Secteurs alternativement droits et en miroir autour du centre
+    applyKaleidoscope() {
+        const { ctx, canvas } = this;
+        const frame = this.copyFrame();
+        const segments = this.kaleidoscope.segments;
+        const angle = Math.PI * 2 / segments;
+        const radius = Math.hypot(canvas.width, canvas.height);
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        for (let i = 0; i < segments; i++) {
+            ctx.save();
+            ctx.translate(cx, cy);
+            if (i % 2) {
+                ctx.rotate((i + 1) * angle);
+                ctx.scale(1, -1);
+            } else {
+                ctx.rotate(i * angle);
+            }
+            // Bords décalés d'un demi-pixel vers l'extérieur : pas de liseré
+            // sombre entre deux secteurs
+            const sin = Math.sin(angle);
+            const cos = Math.cos(angle);
+            ctx.beginPath();
+            ctx.moveTo(0, -SEAM);
+            ctx.lineTo(radius, -SEAM);
+            ctx.arc(0, 0, radius, 0, angle);
+            ctx.lineTo(radius * cos - SEAM * sin, radius * sin + SEAM * cos);
+            ctx.lineTo(-SEAM * sin, SEAM * cos);
+            ctx.closePath();
+            ctx.clip();
+            ctx.rotate(this.angle);
+            ctx.drawImage(frame, -cx, -cy);
+            ctx.restore();
+        }
+    }
+
+    // Image précédente atténuée, zoomée et tournée sous l'image courante.
+    // L'historique n'avance qu'avec update() : une image redessinée à l'arrêt
+    // (réglage modifié en pause) ne s'empile pas sur elle-même.
+    applyTrails() {
+        const { ctx, canvas } = this;
+        const history = this.getBuffer('history');
+        const historyCtx = history.getContext('2d');
+
+        if (this.hasHistory) {
+            const frame = this.copyFrame();
+            const drive = this.drive('trails');
+            const zoom = 1 + (this.trails.zoom - 1) * drive;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.save();
+            ctx.globalAlpha = this.trails.decay;
+            ctx.translate(canvas.width / 2, canvas.height / 2);
+            ctx.rotate(this.trails.rotation * Math.PI / 180 * drive);
+            ctx.scale(zoom, zoom);
+            ctx.drawImage(history, -canvas.width / 2, -canvas.height / 2);
+            ctx.restore();
+            ctx.drawImage(frame, 0, 0);
+        }
+
+        if (!this.advanced) return;
+        historyCtx.clearRect(0, 0, history.width, history.height);
+        historyCtx.drawImage(canvas, 0, 0);
+        this.hasHistory = true;
+    }
+
+    // Parties lumineuses floutées à basse résolution puis ajoutées à l'image
+    applyBloom() {
+        const { ctx, canvas } = this;
+        const intensity = this.bloom.intensity * this.drive('bloom');
+        if (intensity <= 0) return;
+
+        const glow = this.getBuffer('bloom', Math.max(1, Math.round(canvas.width / 4)), Math.max(1, Math.round(canvas.height / 4)));
+        const glowCtx = glow.getContext('2d');
+        const blur = this.bloom.radius * glow.height / 100;
+        glowCtx.clearRect(0, 0, glow.width, glow.height);
+        // Le contraste écrase les tons sombres : seul ce qui dépasse le seuil brille
+        glowCtx.filter = `contrast(${1 + this.bloom.threshold * 4}) blur(${blur}px)`;
+        glowCtx.drawImage(canvas, 0, 0, glow.width, glow.height);
+        glowCtx.filter = 'none';
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        for (let remaining = intensity; remaining > 0; remaining -= 1) {
+            ctx.globalAlpha = Math.min(1, remaining);
+            ctx.drawImage(glow, 0, 0, canvas.width, canvas.height);
+        }
+        ctx.restore();
+    }
+
+    // Rouge, puis vert, agrandis depuis le centre comme par un objectif bon
+    // marché ; aucun canal n'est réduit pour ne pas laisser de bord vide
+    applyChromatic() {
+        const { ctx, canvas } = this;
+        const offset = this.chromatic.offset / 100 * canvas.width * this.drive('chromatic');
+        if (offset < 0.5) return;
+
+        const frame = this.copyFrame();
+        const channel = this.getBuffer('channel');
+        const channelCtx = channel.getContext('2d');
+        const spread = offset * 2 / canvas.width;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        for (const [color, scale] of [['#ff0000', 1 + spread], ['#00ff00', 1 + spread / 2], ['#0000ff', 1]]) {
+            channelCtx.globalCompositeOperation = 'copy';
+            channelCtx.drawImage(frame, 0, 0);
+            channelCtx.globalCompositeOperation = 'multiply';
+            channelCtx.fillStyle = color;
+            channelCtx.fillRect(0, 0, channel.width, channel.height);
+            // multiply rend le fond opaque : on reprend l'alpha de l'image
+            channelCtx.globalCompositeOperation = 'destination-in';
+            channelCtx.drawImage(frame, 0, 0);
+
+            const width = canvas.width * scale;
+            const height = canvas.height * scale;
+            ctx.drawImage(channel, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+        }
+        ctx.restore();
+        channelCtx.globalCompositeOperation = 'source-over';
+    }
+
+    applyVignette() {
+        const { ctx, canvas } = this;
+        const amount = this.vignette.amount * this.drive('vignette');
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+        const gradient = ctx.createRadialGradient(cx, cy, Math.min(cx, cy) * 0.5, cx, cy, Math.hypot(cx, cy));
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, `rgba(0, 0, 0, ${Math.min(1, amount)})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // Motif de bruit tiré une fois, décalé au hasard à chaque image
+    applyGrain() {
+        const { ctx, canvas } = this;
+        const amount = this.grain.amount * this.drive('grain');
+        if (amount <= 0) return;
+
+        if (!this.grainTile) {
+            this.grainTile = new OffscreenCanvas(GRAIN_SIZE, GRAIN_SIZE);
+            const tileCtx = this.grainTile.getContext('2d');
+            const image = tileCtx.createImageData(GRAIN_SIZE, GRAIN_SIZE);
+            for (let i = 0; i < image.data.length; i += 4) {
+                const value = Math.floor(this.random() * 256);
+                image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+                image.data[i + 3] = 255;
+            }
+            tileCtx.putImageData(image, 0, 0);
+        }
+
+        const x = Math.floor(this.random() * GRAIN_SIZE);
+        const y = Math.floor(this.random() * GRAIN_SIZE);
+        ctx.save();
+        ctx.globalCompositeOperation = 'overlay';
+        ctx.globalAlpha = Math.min(1, amount);
+        ctx.translate(-x, -y);
+        ctx.fillStyle = ctx.createPattern(this.grainTile, 'repeat');
+        ctx.fillRect(x, y, canvas.width, canvas.height);
+        ctx.restore();
+    }
+}
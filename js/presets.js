@@ -0,0 +1,73 @@
+// Préréglages : un objet JSON { name, version, scene, params, audio, ... }
+// produit par App.getSettings(), stocké dans le localStorage, exporté en
+// fichier ou encodé dans le hash de l'URL pour être partagé
+const STORAGE_KEY = 'claimviz.presets';
+const HASH_PREFIX = '#preset=';
+export const PRESET_VERSION = 1;
+
+export function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Préréglages illisibles, ignorés:', error);
+        return {};
+    }
+}
+
+export function savePreset(name, settings) {
+    const presets = loadPresets();
+    presets[name] = { ...settings, name, version: PRESET_VERSION };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function deletePreset(name) {
+    const presets = loadPresets();
+    delete presets[name];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function presetToBlob(name, settings) {
+    const preset = { ...settings, name, version: PRESET_VERSION };
+    return new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+}
+
+export async function readPresetFile(file) {
+    return parsePreset(await file.text());
+}
+
+export function parsePreset(text) {
+    const preset = JSON.parse(text);
+    if (typeof preset !== 'object' || preset === null || Array.isArray(preset)) {
+        throw new Error('Préréglage invalide');
+    }
+    return preset;
+}
+
+// base64url de l'UTF-8, pour rester lisible dans une URL
+function toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+export function encodePresetHash(settings) {
+    return HASH_PREFIX + toBase64Url(JSON.stringify({ ...settings, version: PRESET_VERSION }));
+}
+
+// Retourne null si le hash ne contient pas de préréglage
+export function decodePresetHash(hash) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+    try {
+        return parsePreset(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    } catch (error) {
+        console.warn('Préréglage de l\'URL invalide:', error);
+        return null;
+    }
+}
@@ -1,7 +1,35 @@
+import { getExtension } from './exportSettings.js';
+
+// Nom de fichier horodaté, ex. visualizer_20250213_142501.mp4
+export function timestampedFileName(prefix, extension) {
+    const date = new Date();
+    return `${prefix}_${date.getFullYear()}${(date.getMonth()+1).toString().padStart(2,'0')}${date.getDate().toString().padStart(2,'0')}_${date.getHours().toString().padStart(2,'0')}${date.getMinutes().toString().padStart(2,'0')}${date.getSeconds().toString().padStart(2,'0')}.${extension}`;
+}
+
+// Téléchargement automatique d'un Blob
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    document.body.appendChild(a);
+    a.style.display = 'none';
+    a.href = url;
+    a.download = fileName;
+    a.click();
+
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+}
+
 export class Recorder {
-    constructor(canvas, audioSystem) {
+    constructor(canvas, audioSystem, options = {}) {
         this.canvas = canvas;
         this.audioSystem = audioSystem;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000; // 8 Mbps
+        this.audioBitsPerSecond = options.audioBitsPerSecond || 192000; // 192 kbps
+        this.frameRate = options.frameRate || 60;
+        this.mimeType = options.mimeType || ''; // vide : format par défaut du navigateur
+        this.onSave = options.onSave || null; // appelé avec le nom du fichier téléchargé
+        this.onComplete = options.onComplete || null; // reçoit (blob, nom) à la place du téléchargement
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.isRecording = false;
@@ -9,6 +37,13 @@ export class Recorder {
         this.recordCtx = null;
     }
 
+    // Réglages de la boîte d'export, appliqués au prochain enregistrement
+    configure({ mimeType, videoBitsPerSecond, frameRate }) {
+        if (mimeType !== undefined) this.mimeType = mimeType;
+        if (videoBitsPerSecond) this.videoBitsPerSecond = videoBitsPerSecond;
+        if (frameRate) this.frameRate = frameRate;
+    }
+
     async startRecording() {
         try {
             // Initialiser le canvas de recording
@@ -19,21 +54,24 @@ export class Recorder {
                 willReadFrequently: false
             });
 
-            // Configurer le stream
-            const stream = this.recordCanvas.captureStream(60);
+            // Configurer le stream : piste vidéo du canvas + piste audio du graphe
+            const canvasStream = this.recordCanvas.captureStream(this.frameRate);
+            const audioStream = this.audioSystem.getOutputStream();
+            const stream = new MediaStream([
+                ...canvasStream.getVideoTracks(),
+                ...audioStream.getAudioTracks()
+            ]);
             
-            // Essayer d'abord avec H264
-            let options = {
-                mimeType: 'video/mp4;codecs=avc1.42E01E',
-                videoBitsPerSecond: 8000000 // 8 Mbps
+            const options = {
+                videoBitsPerSecond: this.videoBitsPerSecond,
+                audioBitsPerSecond: this.audioBitsPerSecond
             };
-
-            try {
-                this.mediaRecorder = new MediaRecorder(stream, options);
-            } catch (e) {
-                console.warn('H264 non supporté, tentative avec codec par défaut:', e);
-                this.mediaRecorder = new MediaRecorder(stream);
+            if (this.mimeType && MediaRecorder.isTypeSupported(this.mimeType)) {
+                options.mimeType = this.mimeType;
+            } else if (this.mimeType) {
+                console.warn('Format non supporté, codec par défaut du navigateur:', this.mimeType);
             }
+            this.mediaRecorder = new MediaRecorder(stream, options);
 
             this.recordedChunks = [];
             
@@ -41,7 +79,8 @@ export class Recorder {
             const renderFrame = () => {
                 if (!this.isRecording) return;
                 
-                // Fond noir opaque
+                // Fond noir opaque, au cas où le canvas ne porte pas déjà son
+                // propre arrière-plan
                 this.recordCtx.fillStyle = '#000000';
                 this.recordCtx.fillRect(0, 0, this.recordCanvas.width, this.recordCanvas.height);
                 
@@ -58,30 +97,29 @@ export class Recorder {
             };
 
             this.mediaRecorder.onstop = () => {
-                const blob = new Blob(this.recordedChunks, {
-                    type: 'video/mp4'
-                });
-
-                const date = new Date();
-                const fileName = `visualizer_${date.getFullYear()}${(date.getMonth()+1).toString().padStart(2,'0')}${date.getDate().toString().padStart(2,'0')}_${date.getHours().toString().padStart(2,'0')}${date.getMinutes().toString().padStart(2,'0')}${date.getSeconds().toString().padStart(2,'0')}.mp4`;
+                // Type et extension d'après ce que le navigateur a réellement produit
+                const mimeType = this.mediaRecorder.mimeType || options.mimeType || 'video/webm';
+                const blob = new Blob(this.recordedChunks, { type: mimeType });
 
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                document.body.appendChild(a);
-                a.style.display = 'none';
-                a.href = url;
-                a.download = fileName;
-                a.click();
-
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
+                const fileName = timestampedFileName('visualizer', getExtension(mimeType));
                 this.recordedChunks = [];
+                if (this.onComplete) {
+                    this.onComplete(blob, fileName);
+                    return;
+                }
+                downloadBlob(blob, fileName);
+                if (this.onSave) this.onSave(fileName);
             };
 
-            // Démarrer l'enregistrement
-            this.mediaRecorder.start();
+            // Démarrer l'enregistrement : on attend l'événement start pour que
+            // l'appelant lance la lecture audio sur la première image capturée
+            const started = new Promise(resolve => {
+                this.mediaRecorder.onstart = resolve;
+            });
             this.isRecording = true;
             renderFrame();
+            this.mediaRecorder.start();
+            await started;
             console.log('Enregistrement démarré...');
             return true;
 
@@ -0,0 +1,149 @@
+import { getVisualizer } from './visualizerRegistry.js';
+import { ModulationMatrix } from './modulation.js';
+import { PostProcessor } from './postProcessing.js';
+
+// Chaque scène dessine dans son propre canvas hors écran, puis le gestionnaire
+// compose le résultat sur le canvas affiché : c'est ce qui permet de changer de
+// scène pendant la lecture avec un fondu entre la sortante et l'entrante.
+// Les effets (postProcessing.js) s'appliquent ensuite à l'image composée.
+export class SceneManager {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.seed = options.seed;
+        this.renderer = options.renderer || 'auto'; // moteur des visualiseurs qui en proposent plusieurs
+        this.effects = new PostProcessor(canvas, { seed: options.seed, params: options.effects });
+        
+        this.current = null;
+        this.outgoing = null;
+        this.fadeDuration = 0;
+        this.fadeProgress = 1;
+    }
+
+    get sceneId() {
+        return this.current ? this.current.id : null;
+    }
+
+    get visualizer() {
+        return this.current ? this.current.visualizer : null;
+    }
+
+    get modulation() {
+        return this.current ? this.current.modulation : null;
+    }
+
+    createScene(id, params, routes) {
+        const { VisualizerClass } = getVisualizer(id);
+        const canvas = new OffscreenCanvas(this.canvas.width, this.canvas.height);
+        const visualizer = new VisualizerClass(canvas, {
+            seed: this.seed,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            renderer: this.renderer,
+            params
+        });
+        const modulation = new ModulationMatrix(VisualizerClass.params, routes);
+        return { id, canvas, visualizer, modulation };
+    }
+
+    // Scène qui n'est plus affichée
+    releaseScene(scene) {
+        if (scene) scene.visualizer.dispose();
+    }
+
+    // Fondu terminé ou interrompu : la scène sortante est libérée
+    dropOutgoing() {
+        this.releaseScene(this.outgoing);
+        this.outgoing = null;
+        this.fadeProgress = 1;
+    }
+
+    // crossfade : durée du fondu en secondes (0 = coupure franche)
+    // modulation : routes de la matrice de modulation de la scène
+    setScene(id, { crossfade = 0, params, modulation } = {}) {
+        if (this.current && this.current.id === id) return;
+        
+        const scene = this.createScene(id, params, modulation);
+        // Une scène encore en fondu sortant disparaît tout de suite
+        this.releaseScene(this.outgoing);
+        if (crossfade > 0 && this.current) {
+            this.outgoing = this.current;
+            this.fadeDuration = crossfade;
+            this.fadeProgress = 0;
+        } else {
+            this.releaseScene(this.current);
+            this.outgoing = null;
+            this.fadeProgress = 1;
+        }
+        this.current = scene;
+    }
+
+    // Le type de contexte d'un canvas est figé : la scène courante est recréée
+    // avec les mêmes réglages
+    setRenderer(renderer) {
+        this.renderer = renderer;
+        if (!this.current) return;
+        const { id, visualizer, modulation } = this.current;
+        // Ancienne scène libérée d'abord : son contexte compte dans la limite du navigateur
+        visualizer.dispose();
+        this.current = this.createScene(id, visualizer.getParams(), modulation.getRoutes());
+        this.dropOutgoing();
+    }
+
+    resize(width, height) {
+        for (const scene of [this.current, this.outgoing]) {
+            if (scene) scene.visualizer.resize(width, height);
+        }
+    }
+
+    // dt : temps écoulé depuis l'image précédente, en secondes
+    update(analysis, dt) {
+        if (!this.current) return;
+        this.effects.update(analysis, dt);
+        this.current.modulation.process(analysis, dt, this.current.visualizer);
+        this.current.visualizer.update(analysis, dt);
+        
+        if (this.outgoing) {
+            this.outgoing.modulation.process(analysis, dt, this.outgoing.visualizer);
+            this.outgoing.visualizer.update(analysis, dt);
+            this.fadeProgress = Math.min(1, this.fadeProgress + dt / this.fadeDuration);
+            if (this.fadeProgress >= 1) {
+                this.dropOutgoing();
+            }
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.current) return;
+        
+        if (this.outgoing) {
+            this.outgoing.visualizer.draw();
+            this.ctx.globalAlpha = 1 - this.fadeProgress;
+            this.ctx.drawImage(this.outgoing.canvas, 0, 0);
+        }
+        
+        this.current.visualizer.draw();
+        this.ctx.globalAlpha = this.outgoing ? this.fadeProgress : 1;
+        this.ctx.drawImage(this.current.canvas, 0, 0);
+        this.ctx.globalAlpha = 1;
+        this.effects.process();
+    }
+
+    reset() {
+        this.dropOutgoing();
+        if (this.current) {
+            this.current.modulation.reset();
+            this.current.visualizer.reset();
+        }
+        this.effects.reset();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Gestionnaire abandonné (rendu hors ligne terminé, visualiseur retiré)
+    dispose() {
+        this.dropOutgoing();
+        this.releaseScene(this.current);
+        this.current = null;
+    }
+}
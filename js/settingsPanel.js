@@ -0,0 +1,119 @@
+// Panneau de réglages généré à partir des schémas de paramètres (voir params.js).
+// Chaque section associe un schéma, les valeurs courantes et un rappel de modification,
+// et peut porter des boutons d'action { label, onClick } ainsi qu'un rappel
+// onKeyframe(key) qui ajoute un bouton de clé d'automation aux réglages numériques
+// (automated : clés déjà automatisées, mises en évidence).
+import { optionValue } from './params.js';
+
+export class SettingsPanel {
+    constructor(container) {
+        this.container = container;
+    }
+
+    render(sections) {
+        this.container.innerHTML = '';
+        for (const section of sections) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = section.title;
+            fieldset.appendChild(legend);
+
+            for (const param of section.schema) {
+                const row = this.createControl(param, section.values[param.key], section.onChange);
+                if (section.onKeyframe && !param.type && param.modulatable !== false) {
+                    this.addKeyframeButton(row, param, section);
+                }
+                fieldset.appendChild(row);
+            }
+            for (const action of section.actions || []) {
+                const button = document.createElement('button');
+                button.className = 'setting-action';
+                button.textContent = action.label;
+                button.addEventListener('click', action.onClick);
+                fieldset.appendChild(button);
+            }
+            this.container.appendChild(fieldset);
+        }
+    }
+
+    addKeyframeButton(row, param, section) {
+        const button = document.createElement('button');
+        button.className = 'setting-keyframe';
+        button.textContent = '◆';
+        button.title = 'Clé d\'automation à la position courante';
+        if (section.automated && section.automated.includes(param.key)) {
+            row.classList.add('automated');
+        }
+        button.addEventListener('click', (event) => {
+            // Le bouton est dans le label : ne pas activer le curseur
+            event.preventDefault();
+            section.onKeyframe(param.key);
+        });
+        row.appendChild(button);
+    }
+
+    createControl(param, value, onChange) {
+        const row = document.createElement('label');
+        row.className = 'setting';
+
+        const name = document.createElement('span');
+        name.textContent = param.label;
+        row.appendChild(name);
+
+        if (param.type === 'select') {
+            const select = document.createElement('select');
+            for (const option of param.options) {
+                const element = document.createElement('option');
+                element.value = optionValue(option);
+                element.textContent = option.label ?? option;
+                select.appendChild(element);
+            }
+            select.value = value;
+            select.addEventListener('change', () => {
+                const raw = select.value;
+                onChange(param.key, typeof param.default === 'number' ? Number(raw) : raw);
+            });
+            row.appendChild(select);
+            return row;
+        }
+
+        if (param.type === 'text' || param.type === 'color') {
+            const input = document.createElement('input');
+            input.type = param.type;
+            input.value = value;
+            input.addEventListener('input', () => onChange(param.key, input.value));
+            row.appendChild(input);
+            return row;
+        }
+
+        if (param.type === 'toggle') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(value);
+            checkbox.addEventListener('change', () => onChange(param.key, checkbox.checked));
+            row.appendChild(checkbox);
+            return row;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step;
+        input.value = value;
+
+        const readout = document.createElement('span');
+        readout.className = 'setting-value';
+        readout.textContent = value;
+
+        input.addEventListener('input', () => {
+            const number = parseFloat(input.value);
+            readout.textContent = number;
+            onChange(param.key, number);
+        });
+
+        row.appendChild(input);
+        row.appendChild(readout);
+        return row;
+    }
+}
@@ -0,0 +1,52 @@
+// Raccourcis clavier : liste affichée dans l'aide et correspondance touche →
+// action de l'App. Chiffres, espace et flèches sont lus par position
+// (event.code, indépendant de la disposition du clavier), les lettres par
+// caractère (event.key).
+export const SHORTCUTS = [
+    { keys: 'Espace', label: 'Play / Pause' },
+    { keys: 'R', label: 'Play & Record, ou arrêt de l\'enregistrement' },
+    { keys: '← →', label: 'Reculer / avancer de 5 s' },
+    { keys: 'Maj + ← →', label: 'Reculer / avancer de 30 s' },
+    { keys: '1 … 9', label: 'Scène 1 à 9' },
+    { keys: 'Maj + 1 … 9', label: 'Préréglage 1 à 9 (ordre alphabétique)' },
+    { keys: 'F', label: 'Plein écran' },
+    { keys: 'H', label: 'Masquer / afficher l\'interface' },
+    { keys: '?', label: 'Afficher / fermer cette aide' },
+    { keys: 'Échap', label: 'Fermer l\'aide, réafficher l\'interface' }
+];
+
+const SEEK_STEP = 5; // s
+const SEEK_LARGE_STEP = 30; // s
+const NON_TEXT_INPUTS = ['range', 'checkbox', 'radio', 'button', 'file'];
+
+// Raccourci correspondant à la touche, null sinon :
+// { action, index } pour les scènes et préréglages, { action, delta } pour les sauts
+export function matchShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+    const digit = /^(?:Digit|Numpad)([1-9])$/.exec(event.code);
+    if (digit) {
+        return { action: event.shiftKey ? 'preset' : 'scene', index: Number(digit[1]) - 1 };
+    }
+    if (event.code === 'Space') return { action: 'play' };
+    if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+        const step = event.shiftKey ? SEEK_LARGE_STEP : SEEK_STEP;
+        return { action: 'seek', delta: event.code === 'ArrowLeft' ? -step : step };
+    }
+
+    switch (event.key.toLowerCase()) {
+        case 'r': return { action: 'record' };
+        case 'f': return { action: 'fullscreen' };
+        case 'h': return { action: 'hideUi' };
+        case '?': return { action: 'help' };
+        case 'escape': return { action: 'escape' };
+        default: return null;
+    }
+}
+
+// Champs de saisie : les touches leur reviennent
+export function isEditable(element) {
+    if (!(element instanceof HTMLElement)) return false;
+    if (element.isContentEditable || element.matches('select, textarea')) return true;
+    return element.matches('input') && !NON_TEXT_INPUTS.includes(element.type);
+}
@@ -0,0 +1,123 @@
+import { Visualizer } from './visualizer.js';
+import { PALETTE_PARAMS, samplePalette, mixColors, rgba } from './palettes.js';
+import { BAND_SCALES } from './bandLayout.js';
+
+const WHITE = [255, 255, 255];
+const MAX_FREQUENCY = 16000; // Hz : au-delà, le spectre est presque toujours vide
+
+// Anneau de barres radiales : chaque barre suit une bande du spectre, sur une
+// échelle logarithmique (ou mel, Bark, tiers d'octave) pour laisser de la place
+// aux basses, et l'anneau est symétrique pour rester équilibré à l'écran
+export class SpectrumRingVisualizer extends Visualizer {
+    static params = [
+        { key: 'barCount', label: 'Barres', min: 16, max: 256, step: 8, default: 96, modulatable: false },
+        { key: 'innerRadius', label: 'Rayon intérieur', min: 40, max: 400, step: 5, default: 150 },
+        { key: 'barLength', label: 'Longueur des barres', min: 20, max: 500, step: 10, default: 200 },
+        { key: 'rotationSpeed', label: 'Vitesse de rotation', min: 0, max: 0.05, step: 0.001, default: 0.005 },
+        { key: 'smoothing', label: 'Lissage', min: 0.05, max: 1, step: 0.05, default: 0.35 },
+        { key: 'bandScale', label: 'Échelle des bandes', type: 'select', options: BAND_SCALES, default: 'log' },
+        { key: 'weighting', label: 'Pondération A', type: 'toggle', default: false },
+        ...PALETTE_PARAMS
+    ];
+
+    constructor(canvas, options = {}) {
+        super(canvas, options);
+        
+        this.rotation = 0;
+        this.beatLevel = 0;
+        this.energyLevels = { bass: 0, lowMids: 0, highs: 0 };
+        this.barLevels = new Float32Array(Math.ceil(this.barCount / 2));
+    }
+
+    update(analysis) {
+        const { bass, lowMids, highs } = analysis.bands;
+        
+        this.energyLevels = {
+            bass: this.lerp(this.energyLevels.bass, bass.intensity, 0.25),
+            lowMids: this.lerp(this.energyLevels.lowMids, lowMids.intensity, 0.15),
+            highs: this.lerp(this.energyLevels.highs, highs.intensity, 0.1)
+        };
+        
+        // Le cercle intérieur flashe sur les temps
+        this.beatLevel = analysis.beat && analysis.beat.isBeat ? 1 : this.beatLevel * 0.85;
+        
+        // Rotation accélérée par les bas médiums
+        this.rotation += this.rotationSpeed * (1 + this.energyLevels.lowMids * 2);
+        
+        const spectrum = analysis.spectrum;
+        if (!spectrum) return;
+        
+        // Une bande par barre de la demi-couronne (nombre fixe en tiers d'octave)
+        const levels = this.getBands(analysis, {
+            scale: this.bandScale,
+            count: Math.ceil(this.barCount / 2),
+            maxFrequency: MAX_FREQUENCY,
+            weighting: this.weighting
+        });
+        if (this.barLevels.length !== levels.length) {
+            this.barLevels = new Float32Array(levels.length);
+        }
+        for (let b = 0; b < levels.length; b++) {
+            this.barLevels[b] = this.lerp(this.barLevels[b], levels[b], this.smoothing);
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const half = Math.ceil(this.barCount / 2);
+        const bandCount = this.barLevels.length;
+        const palette = this.getPalette();
+        const radius = this.innerRadius * (1 + this.energyLevels.bass * 0.3);
+        
+        this.ctx.save();
+        this.ctx.translate(this.centerX, this.centerY);
+        this.ctx.rotate(this.rotation);
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = Math.max(1, (Math.PI * 2 * radius / this.barCount) * 0.6);
+        
+        for (let b = 0; b < this.barCount; b++) {
+            // Miroir : la seconde moitié reprend la première à l'envers
+            const levelIndex = b < half ? b : this.barCount - 1 - b;
+            const band = Math.min(bandCount - 1, Math.floor(levelIndex * bandCount / half));
+            const level = Math.pow(this.barLevels[band] || 0, 1.5);
+            const length = level * this.barLength;
+            const angle = (b / this.barCount) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            
+            if (palette) {
+                // Dégradé de la palette le long du spectre, éclairci par le niveau
+                const color = samplePalette(palette, (levelIndex / half) * 0.8 + this.energyLevels.highs * 0.2);
+                this.ctx.strokeStyle = rgba(mixColors(color, WHITE, level * 0.4), 0.9);
+            } else {
+                const hue = 200 + (levelIndex / half) * 160 + this.energyLevels.highs * 60;
+                this.ctx.strokeStyle = `hsla(${hue}, 100%, ${50 + level * 30}%, 0.9)`;
+            }
+            this.ctx.beginPath();
+            this.ctx.moveTo(cos * radius, sin * radius);
+            this.ctx.lineTo(cos * (radius + length + 2), sin * (radius + length + 2));
+            this.ctx.stroke();
+        }
+        
+        // Cercle intérieur qui pulse avec les basses et flashe sur les temps
+        this.ctx.lineWidth = 2 + this.beatLevel * 4;
+        const alpha = Math.min(1, 0.3 + this.energyLevels.bass * 0.5 + this.beatLevel * 0.4);
+        this.ctx.strokeStyle = palette
+            ? rgba(mixColors(palette[0], WHITE, 0.4 + this.beatLevel * 0.4), alpha)
+            : `hsla(220, 100%, ${70 + this.beatLevel * 20}%, ${alpha})`;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius - 6, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+
+    reset() {
+        this.rotation = 0;
+        this.beatLevel = 0;
+        this.energyLevels = { bass: 0, lowMids: 0, highs: 0 };
+        this.barLevels.fill(0);
+        super.reset();
+    }
+}
@@ -0,0 +1,40 @@
+// Pistes séparées (stems) d'un même morceau. Chaque piste a sa propre analyse,
+// disponible dans analysis.stems[nom] et choisie par les routes de modulation ;
+// la somme des pistes reste l'analyse principale.
+export const STEMS = [
+    { value: 'drums', label: 'Batterie', pattern: /drum|kick|snare|perc|batt/i },
+    { value: 'bass', label: 'Basse', pattern: /bass/i },
+    { value: 'vocals', label: 'Voix', pattern: /voc|voice|vox|voix|chant|sing/i },
+    { value: 'other', label: 'Autres', pattern: null }
+];
+
+// Nom de piste d'après le nom de fichier (« morceau_drums.wav », « Vocals.flac »),
+// 'other' par défaut
+export function guessStemName(fileName) {
+    const stem = STEMS.find(entry => entry.pattern && entry.pattern.test(fileName));
+    return stem ? stem.value : 'other';
+}
+
+export function getStemLabel(name) {
+    return STEMS.find(entry => entry.value === name)?.label || name;
+}
+
+// Somme de tampons de même fréquence d'échantillonnage ; une piste mono est
+// reprise sur chaque canal, comme le fait le mixage de la Web Audio API
+export function mixBuffers(context, buffers) {
+    if (buffers.length === 1) return buffers[0];
+    const channels = Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+    const length = Math.max(...buffers.map(buffer => buffer.length));
+    const mix = context.createBuffer(channels, length, buffers[0].sampleRate);
+
+    for (let c = 0; c < channels; c++) {
+        const output = mix.getChannelData(c);
+        for (const buffer of buffers) {
+            const input = buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1));
+            for (let i = 0; i < input.length; i++) {
+                output[i] += input[i];
+            }
+        }
+    }
+    return mix;
+}
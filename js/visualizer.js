@@ -1,13 +1,84 @@
+import { createRandom } from './random.js';
+import { getParamValue, setParamValue, sanitizeParams } from './params.js';
+import { createParticleRenderer } from './particleRenderer.js';
+import { PALETTE_PARAMS, getPaletteColors, samplePalette, rgbToHsl } from './palettes.js';
+import { BandLayout } from './bandLayout.js';
+import { Camera, CAMERA_PARAMS } from './camera.js';
+
 export class Visualizer {
-    constructor(canvas) {
+    // Schéma des paramètres réglables (voir params.js)
+    static params = [];
+
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.resize();
+        this.ctx = this.createContext(canvas, options);
+        
+        // Aléatoire reproductible si une graine est fournie (rendu hors ligne)
+        this.random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+        
+        // Valeurs réglées des paramètres actuellement modulés (voir applyModulation)
+        this.baseParams = {};
+        
+        // Valeurs par défaut du schéma, éventuellement surchargées
+        const params = sanitizeParams(this.constructor.params, options.params);
+        for (const param of this.constructor.params) {
+            setParamValue(this, param.key, params[param.key] ?? param.default);
+        }
+        
+        this.resize(options.width, options.height);
+    }
+
+    // Contexte 2D par défaut ; un visualiseur avec son propre moteur de rendu
+    // (WebGL) le remplace et retourne null
+    createContext(canvas, options) {
+        return canvas.getContext('2d');
     }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+    getParams() {
+        const values = {};
+        for (const param of this.constructor.params) {
+            values[param.key] = param.key in this.baseParams
+                ? this.baseParams[param.key]
+                : getParamValue(this, param.key);
+        }
+        return values;
+    }
+
+    setParam(key, value) {
+        // Un paramètre modulé garde sa valeur modulée jusqu'à l'image suivante
+        if (key in this.baseParams) {
+            this.baseParams[key] = value;
+        } else {
+            setParamValue(this, key, value);
+        }
+    }
+
+    // Valeurs calculées par la matrice de modulation pour cette image ; les
+    // paramètres qui ne sont plus modulés retrouvent leur valeur réglée
+    applyModulation(values) {
+        for (const [key, base] of Object.entries(this.baseParams)) {
+            if (!(key in values)) {
+                setParamValue(this, key, base);
+                delete this.baseParams[key];
+            }
+        }
+        for (const [key, value] of Object.entries(values)) {
+            if (!(key in this.baseParams)) {
+                this.baseParams[key] = getParamValue(this, key);
+            }
+            setParamValue(this, key, value);
+        }
+    }
+
+    setParams(values) {
+        for (const [key, value] of Object.entries(sanitizeParams(this.constructor.params, values))) {
+            this.setParam(key, value);
+        }
+    }
+
+    resize(width = window.innerWidth, height = window.innerHeight) {
+        this.canvas.width = width;
+        this.canvas.height = height;
         this.centerX = this.canvas.width / 2;
         this.centerY = this.canvas.height / 2;
     }
@@ -16,30 +87,91 @@ export class Visualizer {
         return (1 - amt) * start + amt * end;
     }
 
-    update(analysis) {
+    // Couleurs de la palette choisie (voir palettes.js), null pour garder la
+    // teinte propre à la scène ; recalculées seulement quand le réglage change
+    getPalette() {
+        const key = `${this.palette}|${this.customPalette}`;
+        if (this.paletteKey !== key) {
+            this.paletteKey = key;
+            this.paletteColors = getPaletteColors(this.palette, this.customPalette);
+        }
+        return this.paletteColors;
+    }
+
+    // Intensités du spectre dans la disposition demandée (voir bandLayout.js) :
+    // { scale, count, minFrequency, maxFrequency, weighting }, ou { bands } en Hz.
+    // La disposition n'est recréée que si ces options changent.
+    getBands(analysis, options) {
+        const key = JSON.stringify(options);
+        if (this.bandLayoutKey !== key) {
+            this.bandLayoutKey = key;
+            this.bandLayout = options.bands
+                ? new BandLayout(options.bands, options)
+                : BandLayout.fromScale(options);
+        }
+        return this.bandLayout.measure(analysis.spectrum, analysis.sampleRate);
+    }
+
+    // dt : temps écoulé depuis l'image précédente, en secondes
+    update(analysis, dt) {
         // Méthode à surcharger dans les classes enfants
     }
 
     draw() {
         // Méthode à surcharger dans les classes enfants
     }
+
+    reset() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Scène retirée : ressources à libérer (contexte WebGL...)
+    dispose() {
+        // Méthode à surcharger dans les classes enfants
+    }
 }
 
+// Lueur centrale sans palette
+const DEFAULT_GLOW = { hue: 220, saturation: 100, lightness: 70 };
+
 export class EnergyBallVisualizer extends Visualizer {
-    constructor(canvas) {
-        super(canvas);
+    static params = [
+        { key: 'particleCount', label: 'Particules', min: 50, max: 50000, step: 50, default: 300, modulatable: false },
+        { key: 'baseRadius', label: 'Rayon de base', min: 20, max: 300, step: 5, default: 100 },
+        { key: 'maxRadius', label: 'Expansion maximale', min: 50, max: 600, step: 10, default: 300 },
+        { key: 'perspective', label: 'Perspective', min: 200, max: 3000, step: 50, default: 1000 },
+        { key: 'highFreqJitter', label: 'Tressaillement des aigus', min: 0, max: 2, step: 0.05, default: 0.5 },
+        { key: 'beatPulse', label: 'Pulsation sur le temps', min: 0, max: 1, step: 0.05, default: 0.2 },
+        { key: 'hueBase', label: 'Teinte de base', min: 0, max: 360, step: 1, default: 200 },
+        { key: 'hueRange', label: 'Variation de teinte (aigus)', min: 0, max: 360, step: 1, default: 120 },
+        // Lissage personnalisé pour chaque bande (plus élevé = plus réactif)
+        { key: 'smoothingFactors.subBass', label: 'Lissage sub-basses', min: 0.01, max: 1, step: 0.01, default: 0.3 },
+        { key: 'smoothingFactors.bass', label: 'Lissage basses', min: 0.01, max: 1, step: 0.01, default: 0.25 },
+        { key: 'smoothingFactors.lowMids', label: 'Lissage bas médiums', min: 0.01, max: 1, step: 0.01, default: 0.15 },
+        { key: 'smoothingFactors.highMids', label: 'Lissage hauts médiums', min: 0.01, max: 1, step: 0.01, default: 0.1 },
+        { key: 'smoothingFactors.highs', label: 'Lissage aigus', min: 0.01, max: 1, step: 0.01, default: 0.05 },
+        ...CAMERA_PARAMS,
+        ...PALETTE_PARAMS
+    ];
+
+    constructor(canvas, options = {}) {
+        super(canvas, options);
         
-        // Paramètres spécifiques à la boule d'énergie
-        this.energyParticles = [];
-        this.particleCount = 300; // Augmentation du nombre de particules
-        this.baseRadius = 100;
-        this.maxRadius = 300; // Augmentation de l'expansion maximale
+        // Paramètres spécifiques à la boule d'énergie (rayons et nombre de
+        // particules viennent du schéma)
+        this.particles = null;
         
         // Paramètres 3D
         this.rotationX = 0;
         this.rotationY = 0;
         this.rotationZ = 0;
-        this.perspective = 1000;
+        this.updateRotation();
+        this.rotatedPoint = { x: 0, y: 0, z: 0 };
+        
+        // Caméra (réglages dans this.camera, voir camera.js)
+        this.cameraRig = new Camera();
+        this.projectedPoint = { x: 0, y: 0, z: 0, visible: true };
+        this.energyScale = 1;
         
         // Paramètres de réactivité audio avec lissage plus rapide
         this.energyLevels = {
@@ -54,47 +186,61 @@ export class EnergyBallVisualizer extends Visualizer {
         this.wanderingRadius = 200; // Rayon de vagabondage
         this.wanderingSpeed = 0.02; // Vitesse de vagabondage
         this.returnForce = 0.03; // Force de retour vers la boule
-        this.highFreqJitter = 0.5; // Intensité du tressaillement des aigus
         
-        // Lissage personnalisé pour chaque bande
-        this.smoothingFactors = {
-            subBass: 0.3, // Plus réactif
-            bass: 0.25,   // Plus réactif
-            lowMids: 0.15,
-            highMids: 0.1,
-            highs: 0.05   // Très réactif
-        };
+        // Impulsion déclenchée à chaque temps détecté, puis amortie
+        this.beatLevel = 0;
+        this.color = { hue: this.hueBase, saturation: 80, lightness: 40 };
+        this.glowColor = DEFAULT_GLOW;
         
         // Initialisation des particules
         this.initParticles();
     }
     
+    setParam(key, value) {
+        super.setParam(key, value);
+        // Le nombre de particules impose de régénérer le nuage
+        if (key === 'particleCount') {
+            this.initParticles();
+        }
+    }
+    
+    // Rendu WebGL2 si possible (options.renderer : 'auto', 'webgl' ou 'canvas2d')
+    createContext(canvas, options) {
+        this.renderer = createParticleRenderer(canvas, options.renderer);
+        return this.renderer.ctx;
+    }
+    
     initParticles() {
-        for (let i = 0; i < this.particleCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 2;
+        // Simulation dans des tableaux typés : un tableau par propriété
+        const count = this.particleCount;
+        const particles = { count };
+        for (const name of ['x', 'y', 'z', 'baseX', 'baseY', 'baseZ', 'size', 'currentSize',
+            'wanderAngleX', 'wanderAngleY', 'wanderAngleZ', 'wanderPhase']) {
+            particles[name] = new Float32Array(count);
+        }
+        // Positions à l'écran, projetées à chaque dessin par la caméra
+        this.projected = { count };
+        for (const name of ['x', 'y', 'z', 'currentSize']) {
+            this.projected[name] = new Float32Array(count);
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const theta = this.random() * Math.PI * 2;
+            const phi = this.random() * Math.PI * 2;
             
-            this.energyParticles.push({
-                x: 0,
-                y: 0,
-                z: 0,
-                baseX: Math.cos(theta) * Math.sin(phi),
-                baseY: Math.sin(theta) * Math.sin(phi),
-                baseZ: Math.cos(phi),
-                speed: Math.random() * 2 + 1,
-                size: Math.random() * 3 + (i < this.particleCount * 0.3 ? 3 : 1), // 30% de grosses particules
-                color: `hsl(${Math.random() * 60 + 200}, 100%, 50%)`,
-                angle: Math.random() * Math.PI * 2,
-                wanderAngleX: Math.random() * Math.PI * 2,
-                wanderAngleY: Math.random() * Math.PI * 2,
-                wanderAngleZ: Math.random() * Math.PI * 2,
-                wanderPhase: Math.random() * Math.PI * 2,
-                energyOffset: Math.random() * Math.PI * 2
-            });
+            particles.baseX[i] = Math.cos(theta) * Math.sin(phi);
+            particles.baseY[i] = Math.sin(theta) * Math.sin(phi);
+            particles.baseZ[i] = Math.cos(phi);
+            particles.size[i] = this.random() * 3 + (i < count * 0.3 ? 3 : 1); // 30% de grosses particules
+            particles.wanderAngleX[i] = this.random() * Math.PI * 2;
+            particles.wanderAngleY[i] = this.random() * Math.PI * 2;
+            particles.wanderAngleZ[i] = this.random() * Math.PI * 2;
+            particles.wanderPhase[i] = this.random() * Math.PI * 2;
         }
+        this.particles = particles;
     }
     
-    update(analysis) {
+    update(analysis, dt = 0) {
         const { subBass, bass, lowMids, highMids, highs } = analysis.bands;
         
         // Mise à jour des niveaux d'énergie avec lissage personnalisé
@@ -106,6 +252,9 @@ export class EnergyBallVisualizer extends Visualizer {
             highs: this.lerp(this.energyLevels.highs, highs.intensity, this.smoothingFactors.highs)
         };
         
+        // Pulsation sur les temps plutôt que sur l'intensité brute
+        this.beatLevel = analysis.beat && analysis.beat.isBeat ? 1 : this.beatLevel * 0.85;
+        
         const totalEnergy = (
             this.energyLevels.subBass +
             this.energyLevels.bass +
@@ -121,83 +270,132 @@ export class EnergyBallVisualizer extends Visualizer {
         this.rotationX += this.energyLevels.lowMids * 0.03 * speedFactor;
         this.rotationY += this.energyLevels.highMids * 0.04 * speedFactor;
         this.rotationZ += this.energyLevels.highs * 0.02 * speedFactor;
+        this.updateRotation();
         
         // Comportement de vagabondage inversement proportionnel à l'énergie
         const wanderStrength = Math.max(0, 1 - totalEnergy * 2);
         this.wanderingSpeed = 0.02 * (1 - totalEnergy * 0.7); // Vitesse de vagabondage augmente quand l'énergie est basse
         this.wanderingRadius = 200 * wanderStrength; // Rayon de vagabondage augmente quand l'énergie est basse
         
-        // Mise à jour des particules
-        this.energyParticles.forEach(particle => {
-            // Calcul du rayon dynamique avec plus d'impact des basses
-            const bassImpact = Math.pow(this.energyLevels.bass, 1.5);
-            const radius = this.baseRadius + (this.maxRadius - this.baseRadius) * bassImpact;
-            
+        // Grandeurs communes à toutes les particules pour cette image
+        // Rayon dynamique avec plus d'impact des basses
+        const bassImpact = Math.pow(this.energyLevels.bass, 1.5);
+        const radius = (this.baseRadius + (this.maxRadius - this.baseRadius) * bassImpact) *
+            (1 + this.beatLevel * this.beatPulse);
+        // Tressaillement basé sur les hautes fréquences
+        const jitter = this.energyLevels.highs * this.highFreqJitter * 20;
+        // Lissage du mouvement inversement proportionnel à l'énergie
+        const looseSmoothing = 0.1 + (1 - totalEnergy) * 0.2;
+        // Taille basée sur l'énergie
+        this.energyScale = 1 + (this.energyLevels.bass + this.energyLevels.subBass) * 1.5;
+        this.cameraRig.update(this.camera, analysis, dt);
+        
+        const p = this.particles;
+        const rotated = this.rotatedPoint;
+        for (let i = 0; i < p.count; i++) {
             // Mise à jour des angles de vagabondage avec vitesse variable
-            particle.wanderAngleX += this.wanderingSpeed * (1 + Math.sin(particle.wanderPhase));
-            particle.wanderAngleY += this.wanderingSpeed * (1 + Math.cos(particle.wanderPhase));
-            particle.wanderAngleZ += this.wanderingSpeed * (1 + Math.sin(particle.wanderPhase + Math.PI/4));
-            
-            // Position de base avec vagabondage
-            let targetX = particle.baseX * radius;
-            let targetY = particle.baseY * radius;
-            let targetZ = particle.baseZ * radius;
+            const phase = p.wanderPhase[i];
+            p.wanderAngleX[i] += this.wanderingSpeed * (1 + Math.sin(phase));
+            p.wanderAngleY[i] += this.wanderingSpeed * (1 + Math.cos(phase));
+            p.wanderAngleZ[i] += this.wanderingSpeed * (1 + Math.sin(phase + Math.PI/4));
             
-            // Ajout du vagabondage
-            targetX += Math.sin(particle.wanderAngleX) * this.wanderingRadius;
-            targetY += Math.sin(particle.wanderAngleY) * this.wanderingRadius;
-            targetZ += Math.sin(particle.wanderAngleZ) * this.wanderingRadius;
-            
-            // Tressaillement basé sur les hautes fréquences
-            const jitter = this.energyLevels.highs * this.highFreqJitter;
-            targetX += (Math.random() - 0.5) * jitter * 20;
-            targetY += (Math.random() - 0.5) * jitter * 20;
-            targetZ += (Math.random() - 0.5) * jitter * 20;
+            // Position de base, vagabondage et tressaillement
+            const targetX = p.baseX[i] * radius + Math.sin(p.wanderAngleX[i]) * this.wanderingRadius +
+                (this.random() - 0.5) * jitter;
+            const targetY = p.baseY[i] * radius + Math.sin(p.wanderAngleY[i]) * this.wanderingRadius +
+                (this.random() - 0.5) * jitter;
+            const targetZ = p.baseZ[i] * radius + Math.sin(p.wanderAngleZ[i]) * this.wanderingRadius +
+                (this.random() - 0.5) * jitter;
             
             // Application des rotations 3D
-            const rotatedX = this.rotate3D(targetX, targetY, targetZ);
-            
-            // Lissage du mouvement inversement proportionnel à l'énergie
-            const movementSmoothing = particle.size > 3 ? 0.3 : (0.1 + (1 - totalEnergy) * 0.2);
-            particle.x = this.lerp(particle.x, rotatedX.x + this.centerX, movementSmoothing);
-            particle.y = this.lerp(particle.y, rotatedX.y + this.centerY, movementSmoothing);
-            particle.z = this.lerp(particle.z, rotatedX.z, movementSmoothing);
-            
-            // Mise à jour de la taille basée sur la position Z et l'énergie
-            const energyScale = 1 + (this.energyLevels.bass + this.energyLevels.subBass) * 1.5;
-            particle.currentSize = particle.size * (1 + particle.z / this.perspective) * energyScale;
+            this.rotate3D(targetX, targetY, targetZ, rotated);
             
-            // Mise à jour de la couleur basée sur l'énergie
-            const hue = 200 + this.energyLevels.highs * 120;
-            const saturation = 80 + this.energyLevels.lowMids * 20;
-            const lightness = 40 + (this.energyLevels.bass + this.energyLevels.subBass) * 30;
-            particle.color = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-        });
+            // Positions en 3D, relatives au centre : la caméra et le centre de
+            // l'image ne s'appliquent qu'au dessin
+            const movementSmoothing = p.size[i] > 3 ? 0.3 : looseSmoothing;
+            p.x[i] = this.lerp(p.x[i], rotated.x, movementSmoothing);
+            p.y[i] = this.lerp(p.y[i], rotated.y, movementSmoothing);
+            p.z[i] = this.lerp(p.z[i], rotated.z, movementSmoothing);
+        }
+        
+        // Couleur commune basée sur l'énergie : teinte réglée, ou position dans
+        // la palette suivant les aigus et luminosité suivant les basses
+        const palette = this.getPalette();
+        if (palette) {
+            const color = rgbToHsl(samplePalette(palette, this.energyLevels.highs));
+            this.color = {
+                hue: color.hue,
+                saturation: color.saturation,
+                lightness: Math.min(80, color.lightness * (0.7 + (this.energyLevels.bass + this.energyLevels.subBass) * 0.3))
+            };
+            // Couleur de la palette telle quelle : une palette grise garde une lueur grise
+            this.glowColor = rgbToHsl(palette[0]);
+        } else {
+            this.color = {
+                hue: this.hueBase + this.energyLevels.highs * this.hueRange,
+                saturation: 80 + this.energyLevels.lowMids * 20,
+                lightness: 40 + (this.energyLevels.bass + this.energyLevels.subBass) * 30
+            };
+            this.glowColor = DEFAULT_GLOW;
+        }
+    }
+    
+    // Sinus et cosinus des angles de rotation, calculés une fois par image
+    updateRotation() {
+        this.rotation = {
+            cosX: Math.cos(this.rotationX), sinX: Math.sin(this.rotationX),
+            cosY: Math.cos(this.rotationY), sinY: Math.sin(this.rotationY),
+            cosZ: Math.cos(this.rotationZ), sinZ: Math.sin(this.rotationZ)
+        };
     }
     
-    rotate3D(x, y, z) {
+    // Écrit le point tourné dans out (pas d'allocation par particule) ; la
+    // perspective est celle de la caméra (voir project())
+    rotate3D(x, y, z, out) {
+        const { cosX, sinX, cosY, sinY, cosZ, sinZ } = this.rotation;
+        
         // Rotation autour de X
         let temp = y;
-        y = y * Math.cos(this.rotationX) - z * Math.sin(this.rotationX);
-        z = temp * Math.sin(this.rotationX) + z * Math.cos(this.rotationX);
+        y = y * cosX - z * sinX;
+        z = temp * sinX + z * cosX;
         
         // Rotation autour de Y
         temp = x;
-        x = x * Math.cos(this.rotationY) + z * Math.sin(this.rotationY);
-        z = -temp * Math.sin(this.rotationY) + z * Math.cos(this.rotationY);
+        x = x * cosY + z * sinY;
+        z = -temp * sinY + z * cosY;
         
         // Rotation autour de Z
         temp = x;
-        x = x * Math.cos(this.rotationZ) - y * Math.sin(this.rotationZ);
-        y = temp * Math.sin(this.rotationZ) + y * Math.cos(this.rotationZ);
+        x = x * cosZ - y * sinZ;
+        y = temp * sinZ + y * cosZ;
         
-        // Application de la perspective
-        const scale = this.perspective / (this.perspective + z);
-        return {
-            x: x * scale,
-            y: y * scale,
-            z: z
-        };
+        out.x = x;
+        out.y = y;
+        out.z = z;
+        return out;
+    }
+    
+    // Projection des particules par la caméra, autour du centre courant de
+    // l'image : la boule reste centrée quand le canvas change de taille
+    project() {
+        const camera = this.cameraRig;
+        camera.setView(this.camera, this.perspective);
+        
+        const p = this.particles;
+        const projected = this.projected;
+        const point = this.projectedPoint;
+        for (let i = 0; i < p.count; i++) {
+            camera.project(p.x[i], p.y[i], p.z[i], point);
+            projected.x[i] = point.x + this.centerX;
+            projected.y[i] = point.y + this.centerY;
+            projected.z[i] = point.z;
+            // Taille basée sur la position Z, l'énergie et le zoom ; nulle
+            // derrière la caméra
+            projected.currentSize[i] = point.visible
+                ? Math.max(0, p.size[i] * (1 + point.z / this.perspective) * this.energyScale * camera.zoom)
+                : 0;
+        }
+        return projected;
     }
     
     reset() {
@@ -205,8 +403,11 @@ export class EnergyBallVisualizer extends Visualizer {
         this.rotationX = 0;
         this.rotationY = 0;
         this.rotationZ = 0;
+        this.updateRotation();
+        this.cameraRig.reset();
 
         // Réinitialiser les niveaux d'énergie
+        this.beatLevel = 0;
         this.energyLevels = {
             subBass: 0,
             bass: 0,
@@ -216,59 +417,36 @@ export class EnergyBallVisualizer extends Visualizer {
         };
 
         // Effacer le canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.renderer.clear();
 
         // Réinitialiser les particules
-        this.energyParticles = [];
         this.initParticles();
     }
 
+    dispose() {
+        this.renderer.dispose();
+    }
+
     draw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Tri des particules par profondeur pour un rendu 3D correct
-        const sortedParticles = [...this.energyParticles].sort((a, b) => b.z - a.z);
-        
-        // Dessin des particules avec effet de lueur
-        sortedParticles.forEach(particle => {
-            // Effet de lueur
-            const gradient = this.ctx.createRadialGradient(
-                particle.x, particle.y, 0,
-                particle.x, particle.y, particle.currentSize * 2
-            );
-            
-            gradient.addColorStop(0, particle.color);
-            gradient.addColorStop(0.4, particle.color.replace(')', ', 0.3)'));
-            gradient.addColorStop(1, particle.color.replace(')', ', 0)'));
-            
-            this.ctx.beginPath();
-            this.ctx.fillStyle = gradient;
-            this.ctx.arc(particle.x, particle.y, particle.currentSize * 2, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Centre de la particule
-            this.ctx.beginPath();
-            this.ctx.fillStyle = 'white';
-            this.ctx.arc(particle.x, particle.y, particle.currentSize * 0.5, 0, Math.PI * 2);
-            this.ctx.fill();
-        });
-        
-        // Effet de lueur globale au centre
-        const centerGlow = this.ctx.createRadialGradient(
-            this.centerX, this.centerY, 0,
-            this.centerX, this.centerY, this.baseRadius * 2
-        );
-        
         const energyIntensity = (
             this.energyLevels.subBass +
             this.energyLevels.bass +
             this.energyLevels.lowMids
         ) / 3;
         
-        centerGlow.addColorStop(0, `hsla(220, 100%, 70%, ${energyIntensity * 0.3})`);
-        centerGlow.addColorStop(1, 'hsla(220, 100%, 70%, 0)');
-        
-        this.ctx.fillStyle = centerGlow;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const particles = this.project();
+        // Centre de la boule vu par la caméra
+        const center = this.cameraRig.project(0, 0, 0, this.projectedPoint);
+        this.renderer.draw(particles, {
+            ...this.color,
+            // Effet de lueur globale au centre
+            glow: {
+                x: center.x + this.centerX,
+                y: center.y + this.centerY,
+                radius: this.baseRadius * 2 * this.cameraRig.zoom,
+                ...this.glowColor,
+                alpha: energyIntensity * 0.3
+            }
+        });
     }
 }
@@ -0,0 +1,34 @@
+import { EnergyBallVisualizer } from './visualizer.js';
+import { SpectrumRingVisualizer } from './spectrumRingVisualizer.js';
+import { OscilloscopeVisualizer } from './oscilloscopeVisualizer.js';
+
+// Registre des scènes disponibles, dans l'ordre d'affichage du sélecteur
+const visualizers = new Map();
+
+export function registerVisualizer({ id, name, VisualizerClass }) {
+    if (visualizers.has(id)) {
+        throw new Error(`Visualiseur déjà enregistré : ${id}`);
+    }
+    visualizers.set(id, { id, name, VisualizerClass, params: VisualizerClass.params });
+}
+
+export function getVisualizer(id) {
+    const descriptor = visualizers.get(id);
+    if (!descriptor) {
+        throw new Error(`Visualiseur inconnu : ${id}`);
+    }
+    return descriptor;
+}
+
+export function hasVisualizer(id) {
+    return visualizers.has(id);
+}
+
+export function listVisualizers() {
+    return [...visualizers.values()];
+}
+
+// Scènes intégrées
+registerVisualizer({ id: 'energyBall', name: 'Boule d\'énergie', VisualizerClass: EnergyBallVisualizer });
+registerVisualizer({ id: 'spectrumRing', name: 'Anneau spectral', VisualizerClass: SpectrumRingVisualizer });
+registerVisualizer({ id: 'oscilloscope', name: 'Oscilloscope', VisualizerClass: OscilloscopeVisualizer });
@@ -0,0 +1,264 @@
+// Multiplexeur WebM (Matroska) minimal pour les paquets produits par WebCodecs.
+// Tout est conservé en mémoire puis écrit d'un bloc à la fin : l'ordre des
+// blocs ne dépend que des horodatages, le fichier est donc reproductible.
+
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Les horodatages de bloc sont relatifs au cluster sur 16 bits signés (en ms)
+const MAX_CLUSTER_DURATION = 30000;
+
+const textEncoder = new TextEncoder();
+
+function concat(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function encodeId(id) {
+    const bytes = [];
+    while (id > 0) {
+        bytes.unshift(id & 0xFF);
+        id = Math.floor(id / 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Entier à longueur variable (taille d'élément EBML)
+function encodeSize(size) {
+    let length = 1;
+    while (size >= Math.pow(2, 7 * length) - 1) length++;
+
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function element(id, data) {
+    const payload = Array.isArray(data) ? concat(data) : data;
+    return concat([encodeId(id), encodeSize(payload.length), payload]);
+}
+
+const uintElement = (id, value) => element(id, encodeUint(value));
+const floatElement = (id, value) => element(id, encodeFloat(value));
+const stringElement = (id, value) => element(id, textEncoder.encode(value));
+
+// En-tête OpusHead (RFC 7845) si l'encodeur ne fournit pas de description
+function opusHead(channels, sampleRate, preSkip = 312) {
+    const bytes = new Uint8Array(19);
+    const view = new DataView(bytes.buffer);
+    bytes.set(textEncoder.encode('OpusHead'), 0);
+    bytes[8] = 1;
+    bytes[9] = channels;
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);
+    bytes[18] = 0;
+    return bytes;
+}
+
+export class WebMMuxer {
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.blocks = [];
+        this.audioPrivate = null;
+    }
+
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.blocks.push({
+            track,
+            timestamp: chunk.timestamp,
+            duration: chunk.duration || 0,
+            keyFrame: chunk.type === 'key',
+            data
+        });
+    }
+
+    addVideoChunk(chunk) {
+        this.addChunk(VIDEO_TRACK, chunk);
+    }
+
+    addAudioChunk(chunk, metadata) {
+        if (!this.audioPrivate && metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+            this.audioPrivate = new Uint8Array(metadata.decoderConfig.description);
+        }
+        this.addChunk(AUDIO_TRACK, chunk);
+    }
+
+    createHeader() {
+        return element(IDS.EBML, [
+            uintElement(IDS.EBMLVersion, 1),
+            uintElement(IDS.EBMLReadVersion, 1),
+            uintElement(IDS.EBMLMaxIDLength, 4),
+            uintElement(IDS.EBMLMaxSizeLength, 8),
+            stringElement(IDS.DocType, 'webm'),
+            uintElement(IDS.DocTypeVersion, 4),
+            uintElement(IDS.DocTypeReadVersion, 2)
+        ]);
+    }
+
+    createInfo(durationMs) {
+        return element(IDS.Info, [
+            uintElement(IDS.TimecodeScale, 1000000), // 1 ms
+            stringElement(IDS.MuxingApp, 'ClaimViz'),
+            stringElement(IDS.WritingApp, 'ClaimViz'),
+            floatElement(IDS.Duration, durationMs)
+        ]);
+    }
+
+    createTracks() {
+        const tracks = [
+            element(IDS.TrackEntry, [
+                uintElement(IDS.TrackNumber, VIDEO_TRACK),
+                uintElement(IDS.TrackUID, VIDEO_TRACK),
+                uintElement(IDS.TrackType, 1),
+                stringElement(IDS.CodecID, this.video.codec),
+                uintElement(IDS.DefaultDuration, Math.round(1e9 / this.video.frameRate)),
+                element(IDS.Video, [
+                    uintElement(IDS.PixelWidth, this.video.width),
+                    uintElement(IDS.PixelHeight, this.video.height)
+                ])
+            ])
+        ];
+
+        if (this.audio) {
+            const codecPrivate = this.audioPrivate ||
+                opusHead(this.audio.numberOfChannels, this.audio.sampleRate);
+            // Le pré-saut de l'en-tête Opus est exprimé à 48 kHz
+            const preSkip = new DataView(codecPrivate.buffer, codecPrivate.byteOffset).getUint16(10, true);
+            tracks.push(element(IDS.TrackEntry, [
+                uintElement(IDS.TrackNumber, AUDIO_TRACK),
+                uintElement(IDS.TrackUID, AUDIO_TRACK),
+                uintElement(IDS.TrackType, 2),
+                stringElement(IDS.CodecID, this.audio.codec),
+                element(IDS.CodecPrivate, codecPrivate),
+                uintElement(IDS.CodecDelay, Math.round(preSkip / 48000 * 1e9)),
+                uintElement(IDS.SeekPreRoll, 80000000),
+                element(IDS.Audio, [
+                    floatElement(IDS.SamplingFrequency, this.audio.sampleRate),
+                    uintElement(IDS.Channels, this.audio.numberOfChannels)
+                ])
+            ]));
+        }
+
+        return element(IDS.Tracks, tracks);
+    }
+
+    createSimpleBlock(block, clusterTime) {
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | block.track;
+        new DataView(header.buffer).setInt16(1, Math.round(block.timestamp / 1000) - clusterTime);
+        header[3] = block.keyFrame ? 0x80 : 0;
+        return element(IDS.SimpleBlock, [header, block.data]);
+    }
+
+    createClusters() {
+        // Vidéo avant audio à horodatage égal pour ouvrir chaque cluster sur une image clé
+        const blocks = [...this.blocks].sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+        const clusters = [];
+        let current = null;
+
+        const flush = () => {
+            if (current) {
+                clusters.push(element(IDS.Cluster, [uintElement(IDS.Timecode, current.time), ...current.blocks]));
+            }
+        };
+
+        for (const block of blocks) {
+            const time = Math.round(block.timestamp / 1000);
+            const startsCluster = !current ||
+                (block.track === VIDEO_TRACK && block.keyFrame && current.blocks.length > 0) ||
+                time - current.time > MAX_CLUSTER_DURATION;
+
+            if (startsCluster) {
+                flush();
+                current = { time, blocks: [] };
+            }
+            current.blocks.push(this.createSimpleBlock(block, current.time));
+        }
+        flush();
+
+        return clusters;
+    }
+
+    // Retourne le fichier complet sous forme de Blob
+    finalize() {
+        const end = this.blocks.reduce((max, block) => Math.max(max, block.timestamp + block.duration), 0);
+        const children = [this.createInfo(end / 1000), this.createTracks(), ...this.createClusters()];
+        const segmentSize = children.reduce((sum, part) => sum + part.length, 0);
+
+        const parts = [
+            this.createHeader(),
+            encodeId(IDS.Segment),
+            encodeSize(segmentSize),
+            ...children
+        ];
+        this.blocks = [];
+        return new Blob(parts, { type: 'video/webm' });
+    }
+}
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// Rendu en ligne de commande, sans navigateur : mêmes scènes, même analyse
+// (FFT en JavaScript) et même graine que le rendu hors ligne de la page, donc
+// la même animation, et des images identiques d'un rendu à l'autre pour les
+// mêmes entrées (moteur Canvas 2D, voir frameRenderer.js). Sortie en séquence
+// PNG, ou en vidéo par ffmpeg avec --encode.
+//
+//   node render.mjs morceau.wav --preset preset.json --fps 30 --size 1920x1080 --seed 42 -o out/
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { FrameRenderer } from './js/frameRenderer.js';
+import { LoudnessNormalizer, computeLoudnessProfile } from './js/loudnessNormalizer.js';
+import { hasVisualizer, listVisualizers } from './js/visualizerRegistry.js';
+import { Background } from './js/background.js';
+import { Overlay } from './js/overlay.js';
+import { Lyrics, parseLyrics } from './js/lyrics.js';
+import { readMetadata } from './js/metadata.js';
+import { parsePreset } from './js/presets.js';
+
+const USAGE = `Usage : claimviz render <audio> [options]
+        node render.mjs <audio> [options]
+
+  --preset <fichier>     préréglage exporté depuis la page (.json)
+  --scene <id>           scène (${listVisualizers().map(v => v.id).join(', ')}), à défaut celle du préréglage
+  --fps <n>              images par seconde (30)
+  --size <LxH>           dimensions de l'image (1920x1080)
+  --seed <n>             graine des scènes (1)
+  --lyrics <fichier>     paroles synchronisées (.lrc, .srt, .vtt)
+  --background <image>   image d'arrière-plan (fond « Image ou vidéo » du préréglage)
+  --start <s>            début du rendu (0)
+  --duration <s>         durée du rendu (tout le morceau)
+  -o, --output <dossier> dossier de sortie (out)
+  --encode               vidéo MP4 avec le son via ffmpeg, au lieu des PNG
+  -h, --help             cette aide
+
+Les WAV sont lus directement ; les autres formats passent par ffmpeg.`;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+const DECODE_SAMPLE_RATE = 48000; // formats décodés par ffmpeg
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// node-canvas ou @napi-rs/canvas, au choix de l'utilisateur
+async function loadCanvas() {
+    for (const name of ['canvas', '@napi-rs/canvas']) {
+        try {
+            return await import(name);
+        } catch (error) {
+            if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+        }
+    }
+    fail('Aucune bibliothèque de canvas trouvée : npm install canvas (ou @napi-rs/canvas)');
+}
+
+// Équivalent d'un AudioBuffer pour l'analyse : canaux en Float32Array
+function createAudioBuffer(channels, sampleRate) {
+    const length = channels[0].length;
+    return {
+        sampleRate,
+        numberOfChannels: channels.length,
+        length,
+        duration: length / sampleRate,
+        getChannelData: (channel) => channels[channel]
+    };
+}
+
+// WAV PCM 8 à 32 bits ou flottant 32 / 64 bits
+function decodeWav(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'fmt ') {
+            let code = view.getUint16(offset + 8, true);
+            // Extensible : le vrai format est au début du GUID de sous-type
+            if (code === WAVE_FORMAT_EXTENSIBLE) code = view.getUint16(offset + 32, true);
+            format = {
+                code,
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bits: view.getUint16(offset + 22, true)
+            };
+        } else if (id === 'data') {
+            data = { offset: offset + 8, size: Math.min(size, bytes.length - offset - 8) };
+        }
+        // Blocs alignés sur deux octets
+        offset += 8 + size + (size & 1);
+    }
+    if (!format || !data) return null;
+
+    const { code, channels: channelCount, bits } = format;
+    const bytesPerSample = bits / 8;
+    const read = code === WAVE_FORMAT_FLOAT
+        ? (bits === 64 ? (o) => view.getFloat64(o, true) : bits === 32 ? (o) => view.getFloat32(o, true) : null)
+        : code === WAVE_FORMAT_PCM
+            ? {
+                8: (o) => (view.getUint8(o) - 128) / 128,
+                16: (o) => view.getInt16(o, true) / 32768,
+                24: (o) => ((view.getInt8(o + 2) << 16) | view.getUint16(o, true)) / 8388608,
+                32: (o) => view.getInt32(o, true) / 2147483648
+            }[bits]
+            : null;
+    if (!read) return null;
+
+    const frameCount = Math.floor(data.size / (bytesPerSample * channelCount));
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+    let position = data.offset;
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < channelCount; c++) {
+            channels[c][i] = read(position);
+            position += bytesPerSample;
+        }
+    }
+    return createAudioBuffer(channels, format.sampleRate);
+}
+
+// Autres formats : ffmpeg décode en flottants stéréo entrelacés
+function decodeWithFfmpeg(file) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', file, '-f', 'f32le', '-ac', '2', '-ar', String(DECODE_SAMPLE_RATE), '-']);
+        const chunks = [];
+        let errors = '';
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', chunk => { errors += chunk; });
+        ffmpeg.on('error', () => reject(new Error('Format non WAV : ffmpeg est nécessaire pour le décoder')));
+        ffmpeg.on('close', (status) => {
+            if (status !== 0) {
+                reject(new Error(`Décodage impossible : ${errors.trim()}`));
+                return;
+            }
+            const raw = Buffer.concat(chunks);
+            const samples = new Float32Array(raw.buffer, raw.byteOffset, Math.floor(raw.length / 4));
+            const channels = [new Float32Array(samples.length / 2), new Float32Array(samples.length / 2)];
+            for (let i = 0; i < channels[0].length; i++) {
+                channels[0][i] = samples[i * 2];
+                channels[1][i] = samples[i * 2 + 1];
+            }
+            resolve(createAudioBuffer(channels, DECODE_SAMPLE_RATE));
+        });
+    });
+}
+
+// Images brutes RGBA sur l'entrée de ffmpeg, son repris du fichier d'origine
+function startEncoder(file, audioFile, { width, height, fps, start, duration }) {
+    const args = [
+        '-v', 'error', '-y',
+        '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps), '-i', '-',
+        '-ss', String(start), '-t', String(duration), '-i', audioFile,
+        '-map', '0:v', '-map', '1:a',
+        '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '18',
+        '-c:a', 'aac', '-b:a', '192k', '-shortest', file
+    ];
+    const ffmpeg = spawn('ffmpeg', args, { stdio: ['pipe', 'inherit', 'inherit'] });
+    let failure = null;
+    const done = new Promise((resolve, reject) => {
+        ffmpeg.on('error', () => reject(new Error('ffmpeg introuvable : installez-le pour --encode')));
+        ffmpeg.on('close', status => (status === 0 ? resolve() : reject(new Error(`ffmpeg a échoué (code ${status})`))));
+    });
+    done.catch(error => { failure = error; });
+    // Entrée fermée par un ffmpeg arrêté : l'erreur est celle de done
+    ffmpeg.stdin.on('error', () => {});
+    return {
+        async write(buffer) {
+            if (failure) throw failure;
+            if (!ffmpeg.stdin.write(buffer)) {
+                await Promise.race([new Promise(resolve => ffmpeg.stdin.once('drain', resolve)), done]);
+            }
+        },
+        async close() {
+            ffmpeg.stdin.end();
+            await done;
+        }
+    };
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            preset: { type: 'string' },
+            scene: { type: 'string' },
+            fps: { type: 'string', default: '30' },
+            size: { type: 'string', default: '1920x1080' },
+            seed: { type: 'string', default: '1' },
+            lyrics: { type: 'string' },
+            background: { type: 'string' },
+            start: { type: 'string', default: '0' },
+            duration: { type: 'string' },
+            output: { type: 'string', short: 'o', default: 'out' },
+            encode: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    // Commande installée (bin de package.json) : « claimviz render <audio> »
+    const files = positionals[0] === 'render' ? positionals.slice(1) : positionals;
+    if (options.help || files.length !== 1) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const audioFile = files[0];
+    const fps = Number(options.fps);
+    const seed = Number(options.seed);
+    const size = /^(\d+)x(\d+)$/.exec(options.size);
+    if (!(fps > 0)) fail(`Fréquence d'images invalide : ${options.fps}`);
+    if (!Number.isInteger(seed)) fail(`Graine invalide : ${options.seed}`);
+    if (!size) fail(`Dimensions invalides : ${options.size} (attendu : 1920x1080)`);
+    // Mêmes dimensions paires que le rendu de la page
+    const width = Math.floor(Number(size[1]) / 2) * 2;
+    const height = Math.floor(Number(size[2]) / 2) * 2;
+
+    const preset = options.preset ? parsePreset(await readFile(options.preset, 'utf8')) : {};
+    const sceneId = options.scene || preset.scene || listVisualizers()[0].id;
+    if (!hasVisualizer(sceneId)) fail(`Scène inconnue : ${sceneId}`);
+
+    // Canvas de la bibliothèque à la place des API du navigateur utilisées par
+    // les scènes, l'arrière-plan et l'habillage
+    const { createCanvas, loadImage } = await loadCanvas();
+    globalThis.OffscreenCanvas = class {
+        constructor(canvasWidth, canvasHeight) {
+            return createCanvas(canvasWidth, canvasHeight);
+        }
+    };
+    globalThis.window = { innerWidth: width, innerHeight: height };
+    globalThis.createImageBitmap = async (blob) => loadImage(Buffer.from(await blob.arrayBuffer()));
+
+    const bytes = await readFile(audioFile);
+    const audioBuffer = decodeWav(bytes) || await decodeWithFfmpeg(audioFile);
+    const start = Math.max(0, Number(options.start) || 0);
+    const duration = Math.min(audioBuffer.duration - start, options.duration ? Number(options.duration) : Infinity);
+    if (!(duration > 0)) fail('Rien à rendre : début au-delà de la fin du morceau');
+
+    // Analyse et normalisation réglées comme dans la page
+    const analyserOptions = {
+        fftSize: preset.audio?.fftSize || 2048,
+        smoothingTimeConstant: preset.audio?.smoothingTimeConstant ?? 0.85
+    };
+    const normalizer = new LoudnessNormalizer({
+        mode: preset.normalization === 'absolute' ? 'absolute' : 'adaptive',
+        profile: await computeLoudnessProfile(audioBuffer, analyserOptions)
+    });
+
+    const background = new Background(preset.background);
+    if (options.background) {
+        const image = await readFile(options.background);
+        background.setParam('type', 'media');
+        if (!await background.setMedia(new File([image], path.basename(options.background), { type: 'image/*' }))) {
+            fail(`Image d'arrière-plan illisible : ${options.background}`);
+        }
+    }
+    const overlay = new Overlay(preset.overlay);
+    await overlay.setMetadata(await readMetadata(new File([bytes], path.basename(audioFile))));
+    let lyrics = null;
+    if (options.lyrics) {
+        lyrics = new Lyrics(preset.lyrics);
+        lyrics.setLines(parseLyrics(await readFile(options.lyrics, 'utf8')));
+        if (!lyrics.burnIn) lyrics = null;
+    }
+
+    const frames = new FrameRenderer(audioBuffer, {
+        width, height, sceneId, seed, background, overlay, lyrics, analyserOptions, normalizer,
+        params: preset.params || {},
+        modulation: preset.modulation,
+        automation: preset.automation,
+        effects: preset.effects,
+        renderer: 'canvas2d'
+    });
+
+    await mkdir(options.output, { recursive: true });
+    const name = path.basename(audioFile).replace(/\.[^.]+$/, '');
+    const encoder = options.encode
+        ? startEncoder(path.join(options.output, `${name}.mp4`), audioFile, { width, height, fps, start, duration })
+        : null;
+
+    // La simulation avance depuis le début du morceau : les images avant
+    // --start sont calculées mais pas écrites
+    const firstFrame = Math.round(start * fps);
+    const totalFrames = firstFrame + Math.ceil(duration * fps);
+    console.log(`Rendu de ${totalFrames - firstFrame} images (${sceneId}, ${width}x${height}, ${fps} i/s, graine ${seed})`);
+    for (let frame = 0; frame < totalFrames; frame++) {
+        const canvas = await frames.render(frame / fps, 1 / fps);
+        if (frame < firstFrame) continue;
+
+        const index = frame - firstFrame;
+        if (encoder) {
+            const { data } = frames.ctx.getImageData(0, 0, width, height);
+            await encoder.write(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+        } else {
+            const file = path.join(options.output, `frame_${String(index + 1).padStart(6, '0')}.png`);
+            await writeFile(file, canvas.toBuffer('image/png'));
+        }
+        if (process.stdout.isTTY) {
+            process.stdout.write(`\r${index + 1}/${totalFrames - firstFrame}`);
+        }
+    }
+    if (encoder) await encoder.close();
+    if (process.stdout.isTTY) process.stdout.write('\n');
+    console.log(`Terminé : ${options.output}`);
+}
+
+main().catch((error) => fail(error.message));
@@ -1,5 +1,16 @@
 from http.server import HTTPServer, SimpleHTTPRequestHandler
+import argparse
+import base64
+import hashlib
+import queue
+import select
+import socket
+import struct
 import sys
+import threading
+import time
+
+WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
 
 class CORSRequestHandler(SimpleHTTPRequestHandler):
     def end_headers(self):
@@ -9,8 +20,200 @@ class CORSRequestHandler(SimpleHTTPRequestHandler):
         self.send_header('Expires', '0')
         super().end_headers()
 
+# Pont OSC : les paquets UDP d'un contrôleur (TouchOSC...) sont relayés tels
+# quels, en messages binaires, à chaque page connectée en WebSocket (le
+# navigateur ne peut pas écouter d'UDP). Seule la page servie par ce serveur
+# peut se connecter ; ses messages sont ignorés, hormis la fermeture et le ping.
+class OscRelay:
+    def __init__(self, osc_port, ws_port, http_port):
+        self.osc_port = osc_port
+        self.ws_port = ws_port
+        self.origins = {f'http://localhost:{http_port}', f'http://127.0.0.1:{http_port}'}
+        self.clients = set()
+        self.lock = threading.Lock()
+
+    def start(self):
+        threading.Thread(target=self.serve_osc, daemon=True).start()
+        threading.Thread(target=self.serve_websocket, daemon=True).start()
+
+    def serve_osc(self):
+        # Toutes les interfaces : le contrôleur est souvent une tablette du réseau local
+        sock = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+        sock.bind(('0.0.0.0', self.osc_port))
+        while True:
+            packet, _ = sock.recvfrom(65536)
+            self.broadcast(packet)
+
+    def serve_websocket(self):
+        server = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
+        server.setsockopt(socket.SOL_SOCKET, socket.SO_REUSEADDR, 1)
+        server.bind(('localhost', self.ws_port))
+        server.listen()
+        while True:
+            conn, _ = server.accept()
+            threading.Thread(target=self.handle_client, args=(conn,), daemon=True).start()
+
+    def handle_client(self, conn):
+        request = b''
+        while b'\r\n\r\n' not in request:
+            chunk = conn.recv(4096)
+            if not chunk or len(request) > 65536:
+                conn.close()
+                return
+            request += chunk
+
+        headers = {}
+        for line in request.decode('latin-1').split('\r\n')[1:]:
+            name, _, value = line.partition(':')
+            headers[name.strip().lower()] = value.strip()
+        key = headers.get('sec-websocket-key')
+        if not key:
+            conn.close()
+            return
+        # Toute page ouverte dans le navigateur peut viser localhost : seule
+        # l'application servie par ce serveur reçoit les messages du contrôleur
+        if headers.get('origin') not in self.origins:
+            conn.sendall(b'HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\nConnection: close\r\n\r\n')
+            conn.close()
+            return
+
+        accept = base64.b64encode(hashlib.sha1((key + WEBSOCKET_GUID).encode()).digest()).decode()
+        conn.sendall((
+            'HTTP/1.1 101 Switching Protocols\r\n'
+            'Upgrade: websocket\r\n'
+            'Connection: Upgrade\r\n'
+            f'Sec-WebSocket-Accept: {accept}\r\n\r\n'
+        ).encode())
+
+        client = RelayClient(conn, on_error=self.remove_client)
+        with self.lock:
+            self.clients.add(client)
+        try:
+            self.read_frames(client)
+        except OSError:
+            pass
+        self.remove_client(client)
+
+    # Trames de la page (masquées) : fermeture renvoyée puis connexion
+    # terminée, ping suivi d'un pong, le reste ignoré
+    def read_frames(self, client):
+        reader = client.conn.makefile('rb')
+        while True:
+            header = reader.read(2)
+            if len(header) < 2:
+                return
+            opcode = header[0] & 0x0F
+            length = header[1] & 0x7F
+            if length == 126:
+                length = struct.unpack('!H', reader.read(2))[0]
+            elif length == 127:
+                length = struct.unpack('!Q', reader.read(8))[0]
+            mask = reader.read(4) if header[1] & 0x80 else b'\x00' * 4
+            payload = bytes(b ^ mask[i % 4] for i, b in enumerate(reader.read(length)))
+            if opcode == 0x8:
+                client.send(encode_frame(0x8, payload[:2]))
+                client.close()
+                return
+            if opcode == 0x9:
+                client.send(encode_frame(0xA, payload))
+
+    def remove_client(self, client):
+        with self.lock:
+            self.clients.discard(client)
+        client.close()
+
+    def broadcast(self, packet):
+        frame = encode_frame(0x2, packet)
+        with self.lock:
+            clients = list(self.clients)
+        for client in clients:
+            client.send(frame)
+
+# Trame finale non masquée (serveur vers navigateur)
+def encode_frame(opcode, payload):
+    length = len(payload)
+    if length < 126:
+        header = struct.pack('!BB', 0x80 | opcode, length)
+    elif length < 65536:
+        header = struct.pack('!BBH', 0x80 | opcode, 126, length)
+    else:
+        header = struct.pack('!BBQ', 0x80 | opcode, 127, length)
+    return header + payload
+
+# Une page connectée : les trames partent d'une file, écrite par un fil dédié,
+# pour qu'une page lente ne bloque pas la réception OSC des autres. Une page
+# dont la file déborde ou dont l'envoi échoue est déconnectée.
+class RelayClient:
+    QUEUE_SIZE = 256
+    SEND_TIMEOUT = 5 # s, par trame
+    CHUNK_SIZE = 4096
+
+    def __init__(self, conn, on_error):
+        self.conn = conn
+        self.on_error = on_error
+        self.queue = queue.Queue(self.QUEUE_SIZE)
+        self.closed = False
+        threading.Thread(target=self.write, daemon=True).start()
+
+    def send(self, frame):
+        if self.closed:
+            return
+        try:
+            self.queue.put_nowait(frame)
+        except queue.Full:
+            self.on_error(self)
+
+    def write(self):
+        try:
+            while True:
+                frame = self.queue.get()
+                if frame is None:
+                    return
+                self.send_frame(frame)
+        except OSError:
+            self.on_error(self)
+        finally:
+            self.conn.close()
+
+    # Envoi par morceaux, chacun attendu avec select : la socket reste
+    # bloquante pour le fil de lecture, et le délai ne dépend pas du système
+    def send_frame(self, frame):
+        deadline = time.monotonic() + self.SEND_TIMEOUT
+        view = memoryview(frame)
+        while view:
+            remaining = deadline - time.monotonic()
+            if remaining <= 0 or not select.select([], [self.conn], [], remaining)[1]:
+                raise TimeoutError('page trop lente')
+            sent = self.conn.send(view[:self.CHUNK_SIZE])
+            view = view[sent:]
+
+    def close(self):
+        if self.closed:
+            return
+        self.closed = True
+        # Les trames déjà en file (dont la réponse de fermeture) partent d'abord,
+        # sauf si la file est pleine : l'envoi en cours est alors interrompu
+        try:
+            self.queue.put_nowait(None)
+            how = socket.SHUT_RD
+        except queue.Full:
+            how = socket.SHUT_RDWR
+        try:
+            self.conn.shutdown(how)
+        except OSError:
+            pass
+
+parser = argparse.ArgumentParser(description='Serveur local de ClaimViz')
+parser.add_argument('--osc', action='store_true', help='relayer l\'OSC reçu en UDP vers la page (WebSocket)')
+parser.add_argument('--osc-port', type=int, default=9000, help='port UDP des messages OSC (9000)')
+parser.add_argument('--ws-port', type=int, default=8001, help='port WebSocket du pont OSC (8001)')
+args = parser.parse_args()
+
 port = 8000
 print(f"Starting server at http://localhost:{port}")
+if args.osc:
+    OscRelay(args.osc_port, args.ws_port, port).start()
+    print(f"OSC bridge: UDP port {args.osc_port} -> ws://localhost:{args.ws_port}")
 httpd = HTTPServer(('localhost', port), CORSRequestHandler)
 try:
     httpd.serve_forever()